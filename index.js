@@ -1,47 +1,77 @@
-class TreeView {
-  constructor({ 
-    container, 
-    data, 
-    displayField = 'name', 
-    onNodeClick = () => {}, 
+class TreeModel {
+  constructor({
+    data,
+    dataFormat = 'nested',
+    flatOptions = {},
+    displayField = 'name',
     onNodeSelect = () => {},
     onNodeExpand = () => {},
     onNodeCollapse = () => {},
     onNodeRemove = () => {},
+    onNodeMove = () => {},
+    loadChildren = null,
+    sort = null,
+    historyLimit = 50,
+    cloneIdStrategy = 'regenerate',
     multiSelect = false,
-    searchable = true,
-    expandAll = false,
-    theme = 'light',
-    showCheckboxes = false,
+    checkable = false,
+    searchMatch = 'substring',
+    fuzzyThreshold = 0,
+    searchFields = null,
+    matchNode = null,
+    searchMode = 'filter',
+    restoreExpansionOnClear = false,
+    checkboxCascade = 'both',
     pageSize = 10,
-    showPagination = true 
-  }) {
-    if (!container) throw new Error("TreeView: 'container' is required");
-    
-    this.container = container;
-    this.data = data || [];
+    paginate = true,
+    paginationMode = 'roots',
+    strict = false,
+    maxDepth = 1000,
+    maxNodes = Infinity
+  } = {}) {
+    this.dataFormat = dataFormat;
+    this.flatOptions = flatOptions;
+    this.flatReport = null;
     this.displayField = displayField;
-    this.onNodeClick = onNodeClick;
     this.onNodeSelect = onNodeSelect;
     this.onNodeExpand = onNodeExpand;
     this.onNodeCollapse = onNodeCollapse;
     this.onNodeRemove = onNodeRemove;
+    this.onNodeMove = onNodeMove;
+    this.loadChildren = loadChildren;
+    this.sortConfig = null;
+    this.historyLimit = historyLimit;
+    this.cloneIdStrategy = cloneIdStrategy;
+    this.clipboard = null;
     this.multiSelect = multiSelect;
-    this.searchable = searchable;
-    this.expandAll = expandAll;
-    this.theme = theme;
-    this.showCheckboxes = showCheckboxes;
+    this.checkable = checkable;
+    this.searchMatch = searchMatch;
+    this.fuzzyThreshold = fuzzyThreshold;
+    this.searchFields = Array.isArray(searchFields) && searchFields.length > 0 ? searchFields : null;
+    this.matchNode = matchNode;
+    this.searchMode = searchMode;
+    this.restoreExpansionOnClear = restoreExpansionOnClear;
+    this.preSearchExpandedNodes = null;
+    this.strict = strict;
+    this.maxDepth = maxDepth;
+    this.maxNodes = maxNodes;
+    this.validationReport = null;
+    this.checkboxCascade = checkboxCascade;
     this.pageSize = pageSize;
-    this.showPagination = showPagination;
+    this.paginate = paginate;
+    this.paginationMode = paginationMode;
     
     this.currentPage = 1;
     this.totalPages = 1;
     
     this.selectedNodes = new Set();
+    this.indeterminateNodes = new Set();
     this.expandedNodes = new Set();
     this.searchTerm = '';
-    this.filteredData = this.data;
+    this.parsedQuery = null;
     this.paginatedData = []; 
+    this.loadingNodes = new Map();
+    this.loadErrors = new Map();
     
     this.nodeDataMap = new Map();
     this.internalIdCounter = 0;
@@ -49,18 +79,141 @@ class TreeView {
     this.nodeToInternalIdMap = new Map(); 
     this.usedInternalIds = new Set(); 
     
-    this.wrapper = null;
-    this.searchInput = null;
-    this.contentContainer = null;
-    this.paginationContainer = null; 
+    this.undoStack = [];
+    this.redoStack = [];
+    this.historyGroupDepth = 0;
+    this.historyGroupRecorded = false;
+    
+    // Reported as `tree` in event payloads; a TreeView rendering this model sets itself here
+    this.owner = this;
+    this.eventHandlers = new Map();
+    this.subscribers = new Set();
+    
+    this.exportFormats = new Map();
+    this.registerDefaultExportFormats();
+    
+    const initialData = this.dataFormat === 'flat' ? this.convertFlatData(data || []) : data || [];
+    const checkedData = this.checkData(initialData, 'constructor');
+    if (!checkedData) {
+      throw new Error("TreeModel: 'data' failed validation");
+    }
+    
+    this.data = checkedData;
+    this.filteredData = this.data;
+    
+    if (sort) {
+      const { by, ...sortOptions } = typeof sort === 'object' && !Array.isArray(sort) ? sort : { by: sort };
+      this.sortConfig = this.createSortConfig(by, sortOptions);
+      this.applySortToData();
+    }
     
-    this.injectStyles();
     this.buildNodeDataMap();
-    this.render();
+    this.calculatePagination();
+  }
+
+  on(event, handler) {
+    if (typeof handler !== 'function') {
+      console.warn('Event handler must be a function');
+      return this;
+    }
+
+    if (!this.eventHandlers.has(event)) {
+      this.eventHandlers.set(event, new Set());
+    }
+    this.eventHandlers.get(event).add(handler);
+    return this;
+  }
+
+  off(event, handler) {
+    const handlers = this.eventHandlers.get(event);
+    if (!handlers) return this;
+
+    if (!handler) {
+      this.eventHandlers.delete(event);
+      return this;
+    }
+
+    handlers.forEach(registered => {
+      if (registered === handler || registered.originalHandler === handler) {
+        handlers.delete(registered);
+      }
+    });
+    return this;
+  }
+
+  once(event, handler) {
+    if (typeof handler !== 'function') {
+      console.warn('Event handler must be a function');
+      return this;
+    }
+
+    const wrapper = (payload) => {
+      this.off(event, wrapper);
+      return handler(payload);
+    };
+    wrapper.originalHandler = handler;
+    return this.on(event, wrapper);
+  }
+
+  emit(event, payload = {}) {
+    const eventPayload = { type: event, tree: this.owner, ...payload };
+    const handlers = this.eventHandlers.get(event);
     
-    if (this.expandAll) {
-      this.expandAllNodes();
+    if (handlers) {
+      Array.from(handlers).forEach(handler => {
+        try {
+          if (handler(eventPayload) === false && typeof eventPayload.preventDefault === 'function') {
+            eventPayload.preventDefault();
+          }
+        } catch (error) {
+          console.warn(`Error in '${event}' event handler:`, error);
+        }
+      });
+    }
+    
+    return eventPayload;
+  }
+
+  emitCancelable(event, payload = {}) {
+    let canceled = false;
+    
+    this.emit(event, {
+      ...payload,
+      cancelable: true,
+      preventDefault: () => {
+        canceled = true;
+      },
+      isDefaultPrevented: () => canceled
+    });
+    
+    return !canceled;
+  }
+
+  createNodeEventPayload(node, extra = {}) {
+    const source = node && node._internalId ? this.internalIdMap.get(node._internalId) || node : node;
+    
+    return {
+      node: source || null,
+      nodeId: source ? this.getNodeId(source) : null,
+      internalId: source ? source._internalId : null,
+      ...extra
+    };
+  }
+
+  subscribe(listener) {
+    this.subscribers.add(listener);
+    return () => this.subscribers.delete(listener);
+  }
+
+  notifyChange(reason, details = {}) {
+    const change = { reason, ...details };
+    if (this.checkable) {
+      this.refreshIndeterminateNodes();
     }
+    this.calculatePagination();
+    
+    Array.from(this.subscribers).forEach(listener => listener(change));
+    this.emit('change', change);
   }
 
   generateInternalId() {
@@ -87,33 +240,32 @@ class TreeView {
     this.internalIdMap.clear();
     this.nodeToInternalIdMap.clear();
     
-    const mapNodes = (nodes) => {
-      nodes.forEach(node => {
-        const nodeId = node.id || this.generateNodeId(node);
-        
-        let internalId = node._internalId;
-        if (!internalId || this.internalIdMap.has(internalId)) {
-          internalId = this.generateInternalId();
-          node._internalId = internalId;
-        } else {
-          this.usedInternalIds.add(internalId);
-        }
-        
-        this.nodeDataMap.set(nodeId, node);
-        this.internalIdMap.set(internalId, node);
-        this.nodeToInternalIdMap.set(node, internalId);
-        
-        if (node.children && node.children.length > 0) {
-          mapNodes(node.children);
-        }
-      });
-    };
-    
-    mapNodes(this.data);
+    this.registerNodes(this.data);
+  }
+
+  registerNodes(nodes) {
+    nodes.forEach(node => {
+      const nodeId = this.getNodeId(node);
+      
+      let internalId = node._internalId;
+      if (!internalId || this.internalIdMap.has(internalId)) {
+        internalId = this.generateInternalId();
+        node._internalId = internalId;
+      } else {
+        this.usedInternalIds.add(internalId);
+      }
+      
+      this.nodeDataMap.set(nodeId, node);
+      this.internalIdMap.set(internalId, node);
+      this.nodeToInternalIdMap.set(node, internalId);
+      
+      if (node.children && node.children.length > 0) {
+        this.registerNodes(node.children);
+      }
+    });
   }
 
-  calculatePagination() {
-    const totalItems = this.filteredData.length;
+  calculatePagination(totalItems = this.getPaginationTotal()) {
     this.totalPages = Math.max(1, Math.ceil(totalItems / this.pageSize));
 
     if (this.currentPage > this.totalPages) {
@@ -124,18 +276,187 @@ class TreeView {
     }
   }
 
+  getPaginationTotal() {
+    return this.paginationMode === 'rows'
+      ? this.flattenVisibleRows(this.getDisplayData()).length
+      : this.filteredData.length;
+  }
+
   getPaginatedData() {
-    if (!this.showPagination) {
-      return this.filteredData;
+    if (this.paginationMode === 'rows') {
+      const roots = [];
+      this.getPageRows().forEach(row => {
+        let root = row;
+        while (root.parent) root = root.parent;
+        if (!roots.includes(root.node)) roots.push(root.node);
+      });
+      
+      this.paginatedData = roots;
+      return roots;
+    }
+
+    const displayData = this.getDisplayData();
+    
+    if (!this.paginate) {
+      return displayData;
     }
     
     this.calculatePagination();
     const startIndex = (this.currentPage - 1) * this.pageSize;
     const endIndex = startIndex + this.pageSize;
-    this.paginatedData = this.filteredData.slice(startIndex, endIndex);
+    this.paginatedData = displayData.slice(startIndex, endIndex);
     return this.paginatedData;
   }
 
+  flattenVisibleRows(nodes, level = 0, rows = [], parent = null) {
+    nodes.forEach((node, index) => {
+      const nodeId = this.getNodeId(node);
+      const row = { node, nodeId, level, posInSet: index + 1, setSize: nodes.length, parent };
+      rows.push(row);
+      
+      if (node.children && node.children.length > 0 && this.expandedNodes.has(nodeId)) {
+        this.flattenVisibleRows(node.children, level + 1, rows, row);
+      }
+    });
+    
+    return rows;
+  }
+
+  getPageRows() {
+    if (this.paginationMode !== 'rows') {
+      return this.flattenVisibleRows(this.getPaginatedData());
+    }
+
+    const rows = this.flattenVisibleRows(this.getDisplayData());
+    if (!this.paginate) {
+      return rows;
+    }
+
+    this.calculatePagination(rows.length);
+    const startIndex = (this.currentPage - 1) * this.pageSize;
+    const pageRows = rows.slice(startIndex, startIndex + this.pageSize);
+    
+    const context = [];
+    for (let parent = pageRows.length > 0 ? pageRows[0].parent : null; parent; parent = parent.parent) {
+      context.unshift({ ...parent, continued: true });
+    }
+    return context.concat(pageRows);
+  }
+
+  getRowIndex(internalId) {
+    return this.flattenVisibleRows(this.getDisplayData()).findIndex(row => row.node._internalId === internalId);
+  }
+
+  getDisplayData() {
+    if (!this.sortConfig || this.sortConfig.mutate) {
+      return this.filteredData;
+    }
+
+    return this.sortNodes(this.filteredData, this.sortConfig, false);
+  }
+
+  sortBy(comparatorOrField, options = {}) {
+    if (comparatorOrField === null || comparatorOrField === undefined) {
+      this.clearSort();
+      return true;
+    }
+
+    const config = this.createSortConfig(comparatorOrField, options);
+    if (!config) return false;
+
+    this.sortConfig = config;
+    this.applySortToData();
+    this.filteredData = this.filterNodes(this.data, this.searchTerm);
+    this.notifyChange('sort');
+    return true;
+  }
+
+  clearSort() {
+    this.sortConfig = null;
+    this.notifyChange('sort');
+  }
+
+  createSortConfig(comparatorOrField, options = {}) {
+    const specs = Array.isArray(comparatorOrField) ? comparatorOrField : [comparatorOrField];
+    const invalid = specs.length === 0 || specs.some(spec => typeof spec !== 'function' && typeof spec !== 'string');
+    
+    if (invalid) {
+      console.warn('Sort must be a comparator function, a field name or an array of them per level');
+      return null;
+    }
+
+    const {
+      direction = 'asc',
+      recursive = true,
+      foldersFirst = false,
+      locale,
+      mutate = false,
+      columnIndex = null
+    } = options;
+
+    return { specs, direction, recursive, foldersFirst, locale, mutate, columnIndex };
+  }
+
+  createSortComparator(config, level) {
+    const spec = config.specs[Math.min(level, config.specs.length - 1)];
+    const direction = config.direction === 'desc' ? -1 : 1;
+    
+    const compare = typeof spec === 'function'
+      ? (a, b) => spec(a, b, level)
+      : (a, b) => this.compareValues(a[spec], b[spec], config.locale);
+
+    return (a, b) => {
+      if (config.foldersFirst) {
+        const aFolder = this.nodeHasChildren(a);
+        const bFolder = this.nodeHasChildren(b);
+        if (aFolder !== bFolder) return aFolder ? -1 : 1;
+      }
+      return direction * compare(a, b);
+    };
+  }
+
+  sortNodes(nodes, config, mutate, level = 0) {
+    const comparator = this.createSortComparator(config, level);
+    const sorted = mutate ? nodes : nodes.slice();
+
+    if (config.recursive) {
+      sorted.forEach((node, index) => {
+        if (!node.children || node.children.length === 0) return;
+        
+        if (mutate) {
+          this.sortNodes(node.children, config, true, level + 1);
+        } else {
+          sorted[index] = { ...node, children: this.sortNodes(node.children, config, false, level + 1) };
+        }
+      });
+    }
+
+    return sorted.sort(comparator);
+  }
+
+  applySortToData() {
+    if (this.sortConfig && this.sortConfig.mutate) {
+      this.sortNodes(this.data, this.sortConfig, true);
+    }
+  }
+
+  compareValues(a, b, locale) {
+    const aEmpty = a === undefined || a === null || a === '';
+    const bEmpty = b === undefined || b === null || b === '';
+    
+    if (aEmpty || bEmpty) {
+      return aEmpty === bEmpty ? 0 : (aEmpty ? 1 : -1);
+    }
+    if (typeof a === 'number' && typeof b === 'number') {
+      return a - b;
+    }
+    if (a instanceof Date && b instanceof Date) {
+      return a.getTime() - b.getTime();
+    }
+    
+    return String(a).localeCompare(String(b), locale, { numeric: true, sensitivity: 'base' });
+  }
+
   setPageSize(newPageSize) {
     if (newPageSize <= 0) {
       console.warn('Page size must be positive');
@@ -144,7 +465,8 @@ class TreeView {
     
     this.pageSize = newPageSize;
     this.currentPage = 1; 
-    this.updateTreeContent();
+    this.notifyChange('page');
+    this.emitPageChange();
   }
 
   goToPage(page) {
@@ -154,103 +476,2772 @@ class TreeView {
     }
     
     this.currentPage = page;
-    this.updateTreeContent();
+    this.notifyChange('page');
+    this.emitPageChange();
   }
 
   nextPage() {
     if (this.currentPage < this.totalPages) {
       this.currentPage++;
-      this.updateTreeContent();
+      this.notifyChange('page');
+      this.emitPageChange();
     }
   }
 
   previousPage() {
     if (this.currentPage > 1) {
       this.currentPage--;
-      this.updateTreeContent();
+      this.notifyChange('page');
+      this.emitPageChange();
     }
   }
 
   firstPage() {
     this.currentPage = 1;
-    this.updateTreeContent();
+    this.notifyChange('page');
+    this.emitPageChange();
   }
 
   lastPage() {
     this.currentPage = this.totalPages;
-    this.updateTreeContent();
+    this.notifyChange('page');
+    this.emitPageChange();
   }
 
- injectStyles() {
-  if (document.getElementById("enhanced-treeview-styles")) return;
+  emitPageChange() {
+    this.emit('page', this.getCurrentPageInfo());
+  }
 
-  const style = document.createElement("style");
-  style.id = "enhanced-treeview-styles";
-  style.textContent = `
-    .enhanced-tree-container {
-      font-family: 'Inter', 'Segoe UI', Roboto, -apple-system, sans-serif;
-      border-radius: 12px;
-      overflow: hidden;
-      box-shadow: 0 4px 20px rgba(0, 0, 0, 0.08);
-      background: white;
-      border: 1px solid #e5e7eb;
+  setPaginationMode(mode) {
+    if (!['roots', 'rows'].includes(mode)) {
+      console.warn(`Invalid pagination mode: ${mode}`);
+      return false;
     }
 
-    .enhanced-tree-container.dark {
-      background: #1f2937;
-      border-color: #374151;
-      color: #f9fafb;
-    }
+    this.paginationMode = mode;
+    this.currentPage = 1;
+    this.notifyChange('page');
+    this.emitPageChange();
+    return true;
+  }
 
-    .tree-search {
-      padding: 16px;
-      border-bottom: 1px solid #e5e7eb;
-      background: #fafafa;
-    }
+  getMatchRanges(value, query) {
+    const text = value === undefined || value === null ? '' : String(value);
+    if (!text || typeof this.matchNode === 'function') return [];
 
-    .dark .tree-search {
-      background: #111827;
-      border-color: #374151;
-    }
+    const lowerText = text.toLowerCase();
+    const ranges = [];
 
-    .tree-search input {
-      width: 100%;
-      padding: 10px 0px;
-      border: 2px solid #e5e7eb;
-      border-radius: 8px;
-      font-size: 14px;
-      transition: all 0.2s ease;
-      background: white;
-      outline: none;
-    }
+    const addSubstringRanges = (needle) => {
+      let index = lowerText.indexOf(needle);
+      while (needle && index !== -1) {
+        ranges.push([index, index + needle.length]);
+        index = lowerText.indexOf(needle, index + needle.length);
+      }
+    };
 
-    .tree-search input:focus {
-      border-color: #3b82f6;
-      box-shadow: 0 0 0 3px rgba(59, 130, 246, 0.1);
-    }
+    query.terms.forEach(term => {
+      if (term.negate || (term.field && term.field !== this.displayField)) return;
+      if (!term.field && !this.getSearchFields().includes(this.displayField)) return;
 
-    .dark .tree-search input {
-      background: #1f2937;
-      border-color: #4b5563;
-      color: #f9fafb;
-    }
+      if (term.pattern) {
+        const pattern = new RegExp(term.pattern.source, 'gi');
+        let match;
+        
+        while ((match = pattern.exec(text)) !== null) {
+          if (match[0].length === 0) {
+            pattern.lastIndex++;
+            continue;
+          }
+          
+          let start = match.index;
+          let end = start + match[0].length;
+          if (term.boundary) {
+            start += match[1].length;
+            end -= match[2].length;
+            pattern.lastIndex = end;
+          }
+          ranges.push([start, end]);
+        }
+      } else if (this.searchMatch === 'fuzzy' && !term.exact && !lowerText.includes(term.value)) {
+        let position = 0;
+        for (const char of term.value) {
+          const index = lowerText.indexOf(char, position);
+          if (index === -1) return;
+          ranges.push([index, index + 1]);
+          position = index + 1;
+        }
+      } else {
+        addSubstringRanges(term.value);
+      }
+    });
 
-    .dark .tree-search input:focus {
-      border-color: #60a5fa;
-    }
+    ranges.sort((a, b) => a[0] - b[0]);
+    
+    return ranges.reduce((merged, range) => {
+      const last = merged[merged.length - 1];
+      if (last && range[0] <= last[1]) {
+        last[1] = Math.max(last[1], range[1]);
+      } else {
+        merged.push([range[0], range[1]]);
+      }
+      return merged;
+    }, []);
+  }
 
-    .tree-content {
-      max-height: 400px;
-      overflow-y: auto;
-      padding: 8px 0;
-    }
+  nodeHasChildren(node) {
+    return (node.children && node.children.length > 0) || this.needsChildrenLoad(node);
+  }
 
-    .tree-content::-webkit-scrollbar {
-      width: 8px;
-    }
+  needsChildrenLoad(node) {
+    return typeof this.loadChildren === 'function' && !!node.hasChildren && !Array.isArray(node.children);
+  }
 
-    .tree-content::-webkit-scrollbar-track {
-      background: #f1f5f9;
+  loadNodeChildren(nodeId) {
+    nodeId = String(nodeId);
+    const node = this.nodeDataMap.get(nodeId);
+    if (!node) {
+      console.warn(`Cannot load children: Node '${nodeId}' not found`);
+      return Promise.resolve(null);
+    }
+    
+    if (this.loadingNodes.has(nodeId)) {
+      return this.loadingNodes.get(nodeId);
+    }
+
+    this.loadErrors.delete(nodeId);
+
+    const request = Promise.resolve()
+      .then(() => this.loadChildren(node))
+      .then(children => {
+        this.loadingNodes.delete(nodeId);
+        node.children = Array.isArray(children) ? children : [];
+        this.registerNodes(node.children);
+        
+        const cascadeDown = this.checkboxCascade === 'down' || this.checkboxCascade === 'both';
+        if (cascadeDown && this.selectedNodes.has(nodeId)) {
+          this.selectNodeAndChildren(node, nodeId);
+        }
+        
+        this.filteredData = this.filterNodes(this.data, this.searchTerm);
+        this.commitExpanded(nodeId, true, { loaded: true });
+        return node.children;
+      }, error => {
+        this.loadingNodes.delete(nodeId);
+        this.loadErrors.set(nodeId, error);
+        this.notifyChange('loadError', { nodeId, error });
+        
+        console.error(`❌ Error loading children for node '${nodeId}':`, error);
+        return null;
+      });
+
+    this.loadingNodes.set(nodeId, request);
+    this.notifyChange('loading', { nodeId });
+    return request;
+  }
+
+  selectNodeAndChildren(node, nodeId) {
+    this.selectedNodes.add(nodeId);
+    
+    if (node.children && node.children.length > 0) {
+      node.children.forEach(child => {
+        const childNodeId = this.getNodeId(child);
+        this.selectNodeAndChildren(child, childNodeId);
+      });
+    }
+  }
+
+  deselectNodeAndChildren(node, nodeId) {
+    this.selectedNodes.delete(nodeId);
+    
+    if (node.children && node.children.length > 0) {
+      node.children.forEach(child => {
+        const childNodeId = this.getNodeId(child);
+        this.deselectNodeAndChildren(child, childNodeId);
+      });
+    }
+  }
+
+  updateParentSelection(node) {
+    const cascadeUp = this.checkboxCascade === 'up' || this.checkboxCascade === 'both';
+    
+    if (cascadeUp && node) {
+      let parentNode = this.findParentNode(node);
+      
+      while (parentNode) {
+        const parentId = this.getNodeId(parentNode);
+        const allChecked = parentNode.children.every(child => {
+          return this.selectedNodes.has(this.getNodeId(child));
+        });
+        
+        if (allChecked) {
+          this.selectedNodes.add(parentId);
+        } else {
+          this.selectedNodes.delete(parentId);
+        }
+        
+        parentNode = this.findParentNode(parentNode);
+      }
+    }
+    
+    this.refreshIndeterminateNodes();
+  }
+
+  refreshIndeterminateNodes() {
+    this.indeterminateNodes.clear();
+    if (this.checkboxCascade === 'none') return;
+
+    const visit = (node) => {
+      const nodeId = this.getNodeId(node);
+      let hasCheckedDescendant = false;
+      
+      if (node.children && node.children.length > 0) {
+        node.children.forEach(child => {
+          const childChecked = this.selectedNodes.has(this.getNodeId(child));
+          if (visit(child) || childChecked) {
+            hasCheckedDescendant = true;
+          }
+        });
+      }
+      
+      if (hasCheckedDescendant && !this.selectedNodes.has(nodeId)) {
+        this.indeterminateNodes.add(nodeId);
+      }
+      
+      return hasCheckedDescendant;
+    };
+
+    this.data.forEach(visit);
+  }
+
+  getCheckState(nodeId) {
+    nodeId = String(nodeId);
+    if (this.selectedNodes.has(nodeId)) return 'true';
+    if (this.indeterminateNodes.has(nodeId)) return 'mixed';
+    return 'false';
+  }
+
+  setExpanded(nodeId, expanded = true) {
+    nodeId = String(nodeId);
+    const node = this.nodeDataMap.get(nodeId);
+    if (!node) {
+      console.warn(`Cannot ${expanded ? 'expand' : 'collapse'}: Node '${nodeId}' not found`);
+      return false;
+    }
+    const needsLoad = expanded && this.needsChildrenLoad(node);
+    if (this.expandedNodes.has(nodeId) === expanded && !needsLoad) return true;
+
+    if (expanded && !this.emitCancelable('beforeExpand', this.createNodeEventPayload(node, { nodeId }))) {
+      return false;
+    }
+
+    if (needsLoad) {
+      this.loadNodeChildren(nodeId);
+    } else {
+      this.commitExpanded(nodeId, expanded);
+    }
+    return true;
+  }
+
+  commitExpanded(nodeId, expanded, details = {}) {
+    if (expanded) {
+      this.expandedNodes.add(nodeId);
+      this.notifyChange('expand', { nodeId, ...details });
+      this.onNodeExpand(nodeId);
+    } else {
+      this.expandedNodes.delete(nodeId);
+      this.notifyChange('collapse', { nodeId, ...details });
+      this.onNodeCollapse(nodeId);
+    }
+    
+    this.emit(expanded ? 'expand' : 'collapse', this.createNodeEventPayload(this.nodeDataMap.get(nodeId), { nodeId }));
+  }
+
+  setSelected(nodeId, selected = true) {
+    nodeId = String(nodeId);
+    const node = this.nodeDataMap.get(nodeId);
+    if (!node) {
+      console.warn(`Cannot select: Node '${nodeId}' not found`);
+      return false;
+    }
+
+    const state = this.checkable ? { checked: selected } : { selected };
+    if (!this.emitCancelable('beforeSelect', this.createNodeEventPayload(node, state))) {
+      return false;
+    }
+
+    const cascadeDown = this.checkboxCascade === 'down' || this.checkboxCascade === 'both';
+    
+    if (this.checkable && cascadeDown) {
+      if (selected) {
+        this.selectNodeAndChildren(node, nodeId);
+      } else {
+        this.deselectNodeAndChildren(node, nodeId);
+      }
+    } else if (selected) {
+      if (!this.multiSelect && !this.checkable) this.selectedNodes.clear();
+      this.selectedNodes.add(nodeId);
+    } else {
+      this.selectedNodes.delete(nodeId);
+    }
+    
+    if (this.checkable) {
+      this.updateParentSelection(node);
+    }
+    
+    this.notifyChange('select', { nodeId });
+    this.onNodeSelect(node);
+    this.emit('select', this.createNodeEventPayload(node, state));
+    return true;
+  }
+
+  getNodeId(node) {
+    return String(node.id || this.generateNodeId(node));
+  }
+
+  generateNodeId(node) {
+    return node.id || `node_${JSON.stringify(node).replace(/[^a-zA-Z0-9]/g, '').substring(0, 10)}`;
+  }
+
+  search(term) {
+    const previousTerm = this.searchTerm;
+    this.searchTerm = term.trim();
+    
+    if (this.searchTerm && !previousTerm) {
+      this.preSearchExpandedNodes = new Set(this.expandedNodes);
+    } else if (!this.searchTerm && this.preSearchExpandedNodes) {
+      if (this.restoreExpansionOnClear) {
+        this.expandedNodes = this.preSearchExpandedNodes;
+      }
+      this.preSearchExpandedNodes = null;
+    }
+    
+    this.filteredData = this.filterNodes(this.data, this.searchTerm);
+    this.currentPage = 1; 
+    
+    if (this.searchTerm) {
+      this.autoExpandSearchResults();
+    }
+    
+    this.notifyChange('search');
+    this.emit('search', {
+      term: this.searchTerm,
+      resultCount: this.filteredData.length,
+      matchCount: this.collectSearchMatches().length
+    });
+  }
+
+  setSearchMode(mode) {
+    if (!['filter', 'filter-keep-descendants', 'highlight'].includes(mode)) {
+      console.warn(`Invalid search mode: ${mode}`);
+      return false;
+    }
+
+    this.searchMode = mode;
+    this.search(this.searchTerm);
+    return true;
+  }
+
+  collectSearchMatches() {
+    const matches = [];
+    if (!this.searchTerm) return matches;
+
+    const query = this.parseSearchQuery(this.searchTerm);
+    
+    const collectMatches = (nodes, rootIndex) => {
+      nodes.forEach(node => {
+        if (this.nodeMatchesQuery(node, query)) {
+          matches.push({
+            internalId: node._internalId,
+            nodeId: this.getNodeId(node),
+            rootIndex
+          });
+        }
+        if (node.children && node.children.length > 0) {
+          collectMatches(node.children, rootIndex);
+        }
+      });
+    };
+
+    this.getDisplayData().forEach((root, index) => collectMatches([root], index));
+    return matches;
+  }
+
+  autoExpandSearchResults() {
+    if (this.searchMode !== 'filter') {
+      this.expandToSearchMatches();
+      return;
+    }
+
+    const collectNodeIds = (nodes) => {
+        let ids = [];
+        nodes.forEach(node => {
+        const nodeId = this.getNodeId(node);
+        ids.push(nodeId);
+        if (node.children && node.children.length > 0) {
+            ids = ids.concat(collectNodeIds(node.children));
+        }
+        });
+        return ids;
+    };
+    
+    const searchResultIds = collectNodeIds(this.filteredData);
+    searchResultIds.forEach(id => this.expandedNodes.add(id));
+  }
+
+  expandToSearchMatches() {
+    const query = this.parseSearchQuery(this.searchTerm);
+
+    const expandAncestors = (nodes) => {
+      let containsMatch = false;
+      
+      nodes.forEach(node => {
+        if (node.children && node.children.length > 0 && expandAncestors(node.children)) {
+          this.expandedNodes.add(this.getNodeId(node));
+          containsMatch = true;
+        }
+        if (this.nodeMatchesQuery(node, query)) {
+          containsMatch = true;
+        }
+      });
+      
+      return containsMatch;
+    };
+
+    expandAncestors(this.data);
+  }
+
+  filterNodes(nodes, searchTerm) {
+    if (!searchTerm || this.searchMode === 'highlight') return nodes;
+    
+    const query = typeof searchTerm === 'string' ? this.parseSearchQuery(searchTerm) : searchTerm;
+    const filtered = [];
+    
+    nodes.forEach(node => {
+      const nodeMatches = this.nodeMatchesQuery(node, query);
+      
+      if (nodeMatches && this.searchMode === 'filter-keep-descendants') {
+        filtered.push({ ...node });
+        return;
+      }
+      
+      let filteredChildren = [];
+      
+      if (node.children && node.children.length > 0) {
+        filteredChildren = this.filterNodes(node.children, query);
+      }
+      
+      if (nodeMatches || filteredChildren.length > 0) {
+        filtered.push({
+          ...node,
+          children: filteredChildren
+        });
+      }
+    });
+    
+    return filtered;
+  }
+
+  parseSearchQuery(term) {
+    if (this.parsedQuery && this.parsedQuery.raw === term && this.parsedQuery.mode === this.searchMatch) {
+      return this.parsedQuery;
+    }
+
+    const terms = [];
+    const tokenPattern = /(-)?(?:([\w.]+):)?(?:"([^"]*)"|(\S+))/g;
+    let match;
+
+    while ((match = tokenPattern.exec(term)) !== null) {
+      const [, negate, field, phrase, word] = match;
+      const value = (phrase !== undefined ? phrase : word).toLowerCase();
+      if (!value) continue;
+
+      const parsedTerm = {
+        field: field || null,
+        value,
+        negate: !!negate,
+        exact: phrase !== undefined,
+        pattern: null,
+        boundary: false
+      };
+
+      if (this.searchMatch === 'regex' && !parsedTerm.exact) {
+        try {
+          parsedTerm.pattern = new RegExp(phrase !== undefined ? phrase : word, 'i');
+        } catch (error) {
+          console.warn(`Invalid search pattern '${value}', falling back to substring match`);
+        }
+      } else if (this.searchMatch === 'word' || (this.searchMatch === 'regex' && parsedTerm.exact)) {
+        parsedTerm.pattern = new RegExp(`(^|\\W)${this.escapeRegExp(value)}($|\\W)`, 'i');
+        parsedTerm.boundary = true;
+      }
+
+      terms.push(parsedTerm);
+    }
+
+    this.parsedQuery = { raw: term, mode: this.searchMatch, terms };
+    return this.parsedQuery;
+  }
+
+  escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  getSearchFields() {
+    return this.searchFields || [this.displayField];
+  }
+
+  getFieldValue(node, field) {
+    const value = field.split('.').reduce((current, key) => {
+      return current === undefined || current === null ? undefined : current[key];
+    }, node);
+
+    if (value === undefined || value === null) return '';
+    if (Array.isArray(value)) return value.join(' ');
+    return String(value);
+  }
+
+  nodeMatchesQuery(node, query) {
+    if (typeof this.matchNode === 'function') {
+      try {
+        return !!this.matchNode(node, query);
+      } catch (error) {
+        console.warn('Error in matchNode callback:', error);
+        return false;
+      }
+    }
+
+    if (query.terms.length === 0) return true;
+
+    return query.terms.every(term => {
+      const fields = term.field ? [term.field] : this.getSearchFields();
+      const matched = fields.some(field => this.matchSearchTerm(this.getFieldValue(node, field), term));
+      return term.negate ? !matched : matched;
+    });
+  }
+
+  matchSearchTerm(text, term) {
+    if (term.pattern) {
+      return term.pattern.test(text);
+    }
+    if (this.searchMatch === 'fuzzy' && !term.exact) {
+      const score = this.fuzzyScore(term.value, text);
+      return score > 0 && score >= this.fuzzyThreshold;
+    }
+    return text.toLowerCase().includes(term.value);
+  }
+
+  // 1 for a substring hit, otherwise 0-1 rewarding consecutive characters and word starts; 0 means no match
+  fuzzyScore(needle, text) {
+    const haystack = text.toLowerCase();
+    if (!needle || haystack.includes(needle)) return 1;
+
+    let score = 0;
+    let streak = 0;
+    let position = 0;
+
+    for (const char of needle) {
+      const index = haystack.indexOf(char, position);
+      if (index === -1) return 0;
+
+      streak = index === position ? streak + 1 : 0;
+      score += 1 + streak * 2;
+      if (index === 0 || /\W/.test(haystack[index - 1])) score += 3;
+      
+      position = index + 1;
+    }
+
+    return score / (needle.length * needle.length + 3);
+  }
+
+  expandAllNodes() {
+    const collectNodeIds = (nodes) => {
+      let ids = [];
+      nodes.forEach(node => {
+        const nodeId = this.getNodeId(node);
+        ids.push(nodeId);
+        if (node.children) {
+          ids = ids.concat(collectNodeIds(node.children));
+        }
+      });
+      return ids;
+    };
+    
+    const allIds = collectNodeIds(this.getPaginatedData());
+    allIds.forEach(id => this.expandedNodes.add(id));
+    this.notifyChange('expand');
+  }
+
+  collapseAllNodes() {
+    this.expandedNodes.clear();
+    this.notifyChange('collapse');
+  }
+
+  clearSelection() {
+    this.selectedNodes.clear();
+    this.notifyChange('select');
+  }
+
+  getSelectedNodes() {
+    return Array.from(this.selectedNodes);
+  }
+
+  getIndeterminateNodes() {
+    return Array.from(this.indeterminateNodes);
+  }
+
+  getCheckedItemsData() {
+    const checkedData = [];
+    
+    this.selectedNodes.forEach(nodeId => {
+      const nodeData = this.nodeDataMap.get(nodeId);
+      if (nodeData) {
+        checkedData.push(nodeData);
+      }
+    });
+    
+    return checkedData;
+  }
+
+  getCheckedItemsWithDetails() {
+    const checkedItems = [];
+    
+    this.selectedNodes.forEach(nodeId => {
+      const nodeData = this.nodeDataMap.get(nodeId);
+      if (nodeData) {
+        checkedItems.push({
+          id: nodeId,
+          data: nodeData,
+          displayValue: nodeData[this.displayField],
+          hasChildren: nodeData.children && nodeData.children.length > 0,
+          level: this.getNodeLevel(nodeData)
+        });
+      }
+    });
+    
+    return checkedItems;
+  }
+
+  getNodeLevel(targetNode) {
+    const findLevel = (nodes, target, currentLevel = 0) => {
+      for (const node of nodes) {
+        if (node === target) {
+          return currentLevel;
+        }
+        if (node.children && node.children.length > 0) {
+          const level = findLevel(node.children, target, currentLevel + 1);
+          if (level !== -1) return level;
+        }
+      }
+      return -1;
+    };
+    
+    return findLevel(this.data, targetNode);
+  }
+
+  getNodeByInternalId(internalId) {
+    if (!internalId) {
+      console.warn('Internal ID is required');
+      return null;
+    }
+    
+    const node = this.internalIdMap.get(internalId);
+    
+    if (!node) {
+      console.warn(`Node with internal ID '${internalId}' not found`);
+      return null;
+    }
+    
+    return node;
+  }
+
+  getNodesByInternalIds(internalIds) {
+    if (!Array.isArray(internalIds)) {
+      console.warn('Internal IDs must be an array');
+      return [];
+    }
+    
+    const results = [];
+    const notFound = [];
+    
+    internalIds.forEach(internalId => {
+      const node = this.internalIdMap.get(internalId);
+      if (node) {
+        results.push({
+          internalId: internalId,
+          node: node
+        });
+      } else {
+        notFound.push(internalId);
+      }
+    });
+    
+    if (notFound.length > 0) {
+      console.warn(`Nodes not found for internal IDs: ${notFound.join(', ')}`);
+    }
+    
+    return results;
+  }
+
+  hasInternalId(internalId) {
+    return this.internalIdMap.has(internalId);
+  }
+
+  getValidInternalIds() {
+    return Array.from(this.internalIdMap.keys());
+  }
+
+  getInternalId(node) {
+    if (!node) {
+      console.warn('Node is required');
+      return null;
+    }
+    
+    const internalId = this.nodeToInternalIdMap.get(node);
+    
+    if (!internalId) {
+      console.warn('Node not found in tree or missing internal ID');
+      return null;
+    }
+    
+    return internalId;
+  }
+
+  removeNodeByInternalId(internalId) {
+    if (!internalId) {
+      console.warn('Internal ID is required for removal');
+      return false;
+    }
+    
+    const nodeToRemove = this.internalIdMap.get(internalId);
+    if (!nodeToRemove) {
+      console.warn(`Cannot remove: Node with internal ID '${internalId}' not found`);
+      return false;
+    }
+
+    const removeFromNodes = (nodes, target) => {
+      for (let i = 0; i < nodes.length; i++) {
+        if (nodes[i] === target) {
+          nodes.splice(i, 1);
+          return true;
+        }
+        if (nodes[i].children && nodes[i].children.length > 0) {
+          if (removeFromNodes(nodes[i].children, target)) {
+            return true;
+          }
+        }
+      }
+      return false;
+    };
+
+    if (!this.emitCancelable('beforeRemove', this.createNodeEventPayload(nodeToRemove))) {
+      return false;
+    }
+
+    const { parent, index } = this.locateNode(nodeToRemove);
+    const { selected, expanded } = this.getSubtreeState(nodeToRemove);
+    const removed = removeFromNodes(this.data, nodeToRemove);
+    
+    if (removed) {
+      this.cleanupNodeMappings(nodeToRemove);
+      this.recordHistory({
+        undo: () => {
+          this.attachNode(nodeToRemove, parent, index);
+          selected.forEach(nodeId => this.selectedNodes.add(nodeId));
+          expanded.forEach(nodeId => this.expandedNodes.add(nodeId));
+        },
+        redo: () => {
+          this.detachNode(nodeToRemove);
+          this.cleanupNodeMappings(nodeToRemove);
+        }
+      });
+      
+      this.filteredData = this.filterNodes(this.data, this.searchTerm);
+      this.buildNodeDataMap();
+      this.notifyChange('remove', { internalId });
+      
+      this.onNodeRemove(nodeToRemove, internalId);
+      this.emit('remove', this.createNodeEventPayload(nodeToRemove, { internalId }));
+      
+      console.log(`Successfully removed node with internal ID: ${internalId}`);
+      return true;
+    }
+    
+    console.warn(`Failed to remove node with internal ID: ${internalId}`);
+    return false;
+  }
+
+  getSubtreeState(node, state = { selected: [], expanded: [] }) {
+    const nodeId = this.getNodeId(node);
+    if (this.selectedNodes.has(nodeId)) state.selected.push(nodeId);
+    if (this.expandedNodes.has(nodeId)) state.expanded.push(nodeId);
+    
+    if (node.children && node.children.length > 0) {
+      node.children.forEach(child => this.getSubtreeState(child, state));
+    }
+    return state;
+  }
+
+  cleanupNodeMappings(node) {
+    const nodeId = this.getNodeId(node);
+    const internalId = node._internalId;
+    
+    this.nodeDataMap.delete(nodeId);
+    this.internalIdMap.delete(internalId);
+    this.nodeToInternalIdMap.delete(node);
+    this.selectedNodes.delete(nodeId);
+    this.expandedNodes.delete(nodeId);
+
+    if (node.children && node.children.length > 0) {
+      node.children.forEach(child => this.cleanupNodeMappings(child));
+    }
+  }
+
+  findNodesByCallback(callback) {
+    if (typeof callback !== 'function') {
+      console.warn('Callback must be a function');
+      return [];
+    }
+    
+    const results = [];
+    this.internalIdMap.forEach((node, internalId) => {
+      try {
+        if (callback(node, internalId)) {
+          results.push({
+            internalId: internalId,
+            node: node
+          });
+        }
+      } catch (error) {
+        console.warn(`Error in callback for node ${internalId}:`, error);
+      }
+    });
+    return results;
+  }
+
+  updateNodeByInternalId(internalId, updatedData) {
+    if (!internalId) {
+      console.warn('Internal ID is required for update');
+      return false;
+    }
+    
+    if (!updatedData || typeof updatedData !== 'object') {
+      console.warn('Updated data must be an object');
+      return false;
+    }
+    
+    const node = this.internalIdMap.get(internalId);
+    if (!node) {
+      console.warn(`Cannot update: Node with internal ID '${internalId}' not found`);
+      return false;
+    }
+
+    const children = node.children;
+    const originalInternalId = node._internalId;
+    const changes = { ...updatedData };
+    delete changes.children;
+    delete changes._internalId;
+    const previous = Object.keys(changes).map(key => ({
+      key,
+      had: Object.prototype.hasOwnProperty.call(node, key),
+      value: node[key]
+    }));
+    
+    Object.assign(node, updatedData);
+    node.children = children; 
+    node._internalId = originalInternalId; 
+
+    this.recordHistory({
+      undo: () => previous.forEach(({ key, had, value }) => {
+        if (had) {
+          node[key] = value;
+        } else {
+          delete node[key];
+        }
+      }),
+      redo: () => Object.assign(node, changes)
+    });
+
+    this.applySortToData();
+    this.filteredData = this.filterNodes(this.data, this.searchTerm);
+    this.notifyChange('update', { internalId });
+    
+    this.emit('update', this.createNodeEventPayload(node, { changes: updatedData }));
+    
+    console.log(`Successfully updated node with internal ID: ${internalId}`);
+    return true;
+  }
+
+  addNode(parentInternalId, newNodeData, position = 'last') {
+    if (!newNodeData || typeof newNodeData !== 'object') {
+      console.warn('Node data is required and must be an object');
+      return null;
+    }
+
+    const isRoot = parentInternalId === 0 || parentInternalId === null || parentInternalId === undefined;
+    const parentNode = isRoot ? null : this.internalIdMap.get(parentInternalId);
+    
+    if (!isRoot && !parentNode) {
+      console.warn(`Parent node with internal ID '${parentInternalId}' not found`);
+      return null;
+    }
+
+    if (!this.emitCancelable('beforeAdd', { node: newNodeData, parent: parentNode, position })) {
+      return null;
+    }
+
+    const newNode = { ...newNodeData };
+    const internalId = this.generateInternalId();
+    newNode._internalId = internalId;
+    
+    const createdChildren = !isRoot && !parentNode.children;
+    
+    if (isRoot) {
+      this.addToRootLevel(newNode, position);
+      console.log(`Successfully added node '${newNode[this.displayField]}' to root level at position: ${position}`);
+    } else {
+      this.addToParentNode(parentNode, newNode, position);
+      console.log(`Successfully added node '${newNode[this.displayField]}' to parent '${parentNode[this.displayField]}' at position: ${position}`);
+    }
+    this.recordHistory(this.createInsertCommand([newNode], { newParent: parentNode, createdChildren }));
+
+    this.refresh('add');
+    this.emit('add', this.createNodeEventPayload(newNode, { parent: parentNode, position }));
+    return internalId;
+  }
+
+  addToRootLevel(newNode, position) {
+    switch (position) {
+      case 'first':
+        this.data.unshift(newNode);
+        break;
+      case 'last':
+      default:
+        this.data.push(newNode);
+        break;
+      case 'before':
+      case 'after':
+        this.data.push(newNode);
+        break;
+    }
+  }
+
+  addToParentNode(parentNode, newNode, position) {
+    if (!parentNode.children) {
+      parentNode.children = [];
+    }
+
+    switch (position) {
+      case 'first':
+        parentNode.children.unshift(newNode);
+        break;
+      case 'last':
+      default:
+        parentNode.children.push(newNode);
+        break;
+      case 'before':
+      case 'after':
+        parentNode.children.push(newNode);
+        break;
+    }
+  }
+
+  addNodeAtPosition(newNodeData, referenceInternalId, position = 'after') {
+    if (!newNodeData || typeof newNodeData !== 'object') {
+      console.warn('Node data is required and must be an object');
+      return null;
+    }
+
+    const referenceNode = this.internalIdMap.get(referenceInternalId);
+    if (!referenceNode) {
+      console.warn(`Reference node with internal ID '${referenceInternalId}' not found`);
+      return null;
+    }
+
+    const parentNode = this.findParentNode(referenceNode);
+    
+    if (!this.emitCancelable('beforeAdd', { node: newNodeData, parent: parentNode, reference: referenceNode, position })) {
+      return null;
+    }
+
+    const newNode = { ...newNodeData };
+    const internalId = this.generateInternalId();
+    newNode._internalId = internalId;
+
+    if (parentNode) {
+      const referenceIndex = parentNode.children.indexOf(referenceNode);
+      const insertIndex = position === 'before' ? referenceIndex : referenceIndex + 1;
+      parentNode.children.splice(insertIndex, 0, newNode);
+    } else {
+      const referenceIndex = this.data.indexOf(referenceNode);
+      const insertIndex = position === 'before' ? referenceIndex : referenceIndex + 1;
+      this.data.splice(insertIndex, 0, newNode);
+    }
+    this.recordHistory(this.createInsertCommand([newNode]));
+
+    this.refresh('add');
+    this.emit('add', this.createNodeEventPayload(newNode, { parent: parentNode, reference: referenceNode, position }));
+    
+    console.log(`Successfully added node '${newNode[this.displayField]}' ${position} reference node '${referenceNode[this.displayField]}'`);
+    return internalId;
+  }
+
+  isDescendant(ancestor, node) {
+    if (!ancestor.children || ancestor.children.length === 0) return false;
+    
+    return ancestor.children.some(child => child === node || this.isDescendant(child, node));
+  }
+
+  canMoveNode(source, target, position) {
+    if (!source || source === target || !this.canInsertAt(target, position)) return false;
+    if (target && this.isDescendant(source, target)) return false;
+
+    return true;
+  }
+
+  canInsertAt(target, position) {
+    const siblingPosition = position === 'before' || position === 'after';
+    const validPosition = siblingPosition || ['first', 'last', 'inside'].includes(position) ||
+      (Number.isInteger(position) && position >= 0);
+
+    if (!validPosition) return false;
+    if (!target) return !siblingPosition;
+    if (!siblingPosition && this.needsChildrenLoad(target)) return false;
+
+    return true;
+  }
+
+  moveNode(internalId, targetInternalId, position = 'last') {
+    return this.moveNodes([internalId], targetInternalId, position);
+  }
+
+  moveNodes(internalIds, targetInternalId, position = 'last') {
+    const sources = internalIds.map(internalId => this.internalIdMap.get(internalId));
+    if (sources.length === 0 || sources.some(source => !source)) {
+      console.warn('Cannot move: one or more nodes were not found');
+      return false;
+    }
+
+    const hasTarget = targetInternalId !== null && targetInternalId !== undefined;
+    const target = hasTarget ? this.internalIdMap.get(targetInternalId) : null;
+    if (hasTarget && !target) {
+      console.warn(`Cannot move: target node ${targetInternalId} not found`);
+      return false;
+    }
+
+    const movingRoots = sources.filter((source, index) =>
+      sources.indexOf(source) === index && !sources.some(other => other !== source && this.isDescendant(other, source))
+    );
+    
+    if (!movingRoots.every(source => this.canMoveNode(source, target, position))) {
+      console.warn('Cannot move: a node cannot be moved into itself or its own descendants');
+      return false;
+    }
+
+    return this.applyMove(movingRoots, target, position);
+  }
+
+  applyMove(sources, target, position) {
+    const moves = sources.map(source => {
+      const oldParent = this.findParentNode(source);
+      const oldSiblings = oldParent ? oldParent.children : this.data;
+      return { source, oldParent, oldIndex: oldSiblings.indexOf(source) };
+    });
+
+    moves.forEach(({ source, oldParent }) => {
+      const oldSiblings = oldParent ? oldParent.children : this.data;
+      oldSiblings.splice(oldSiblings.indexOf(source), 1);
+    });
+
+    const insertion = this.insertNodes(sources, target, position);
+    const { newParent, newIndex } = insertion;
+    this.recordHistory({
+      undo: () => {
+        sources.forEach(source => this.detachNode(source));
+        this.revertInsertion(insertion);
+        moves.slice()
+          .sort((a, b) => a.oldIndex - b.oldIndex)
+          .forEach(({ source, oldParent, oldIndex }) => this.attachNode(source, oldParent, oldIndex));
+      },
+      redo: () => {
+        sources.forEach(source => this.detachNode(source));
+        sources.forEach((source, offset) => this.attachNode(source, newParent, newIndex + offset));
+        if (insertion.expandedId) this.expandedNodes.add(insertion.expandedId);
+      }
+    });
+    this.refresh('move');
+
+    moves.forEach(({ source, oldParent, oldIndex }, offset) => {
+      const details = {
+        internalId: source._internalId,
+        target,
+        position,
+        oldParent,
+        oldIndex,
+        newParent,
+        newIndex: newIndex + offset
+      };
+      
+      this.onNodeMove(source, details);
+      this.emit('move', this.createNodeEventPayload(source, details));
+    });
+    
+    return true;
+  }
+
+  insertNodes(nodes, target, position) {
+    let newParent;
+    let newSiblings;
+    let newIndex;
+    let expandedId = null;
+    let createdChildren = false;
+
+    if (position === 'before' || position === 'after') {
+      newParent = this.findParentNode(target);
+      newSiblings = newParent ? newParent.children : this.data;
+      newIndex = newSiblings.indexOf(target) + (position === 'after' ? 1 : 0);
+    } else {
+      newParent = target;
+      if (target && !target.children) {
+        target.children = [];
+        createdChildren = true;
+      }
+      newSiblings = target ? target.children : this.data;
+      
+      if (position === 'first') {
+        newIndex = 0;
+      } else if (Number.isInteger(position)) {
+        newIndex = Math.min(position, newSiblings.length);
+      } else {
+        newIndex = newSiblings.length;
+      }
+      
+      if (target && !this.expandedNodes.has(this.getNodeId(target))) {
+        expandedId = this.getNodeId(target);
+        this.expandedNodes.add(expandedId);
+      }
+    }
+
+    newSiblings.splice(newIndex, 0, ...nodes);
+    return { newParent, newIndex, expandedId, createdChildren };
+  }
+
+  getClipboardTargets(internalIds) {
+    if (Array.isArray(internalIds)) {
+      return internalIds;
+    }
+
+    const selected = Array.from(this.selectedNodes)
+      .map(nodeId => this.nodeDataMap.get(nodeId))
+      .filter(Boolean)
+      .map(node => node._internalId);
+    return selected;
+  }
+
+  getTopLevelNodes(internalIds) {
+    const nodes = internalIds.map(internalId => this.internalIdMap.get(internalId)).filter(Boolean);
+    
+    return nodes.filter((node, index) =>
+      nodes.indexOf(node) === index && !nodes.some(other => other !== node && this.isDescendant(other, node))
+    );
+  }
+
+  copyNodes(internalIds) {
+    const nodes = this.getTopLevelNodes(this.getClipboardTargets(internalIds));
+    if (nodes.length === 0) {
+      console.warn('Nothing to copy');
+      return false;
+    }
+
+    this.clipboard = { mode: 'copy', nodes: this.cloneNodes(nodes), internalIds: nodes.map(node => node._internalId) };
+    this.notifyChange('clipboard');
+    return true;
+  }
+
+  cutNodes(internalIds) {
+    const nodes = this.getTopLevelNodes(this.getClipboardTargets(internalIds));
+    if (nodes.length === 0) {
+      console.warn('Nothing to cut');
+      return false;
+    }
+
+    this.clipboard = { mode: 'cut', nodes: [], internalIds: nodes.map(node => node._internalId) };
+    this.notifyChange('clipboard');
+    return true;
+  }
+
+  clearClipboard() {
+    const hadCut = this.clipboard && this.clipboard.mode === 'cut';
+    this.clipboard = null;
+    
+    if (hadCut) {
+      this.notifyChange('clipboard');
+    }
+  }
+
+  pasteNodes(targetInternalId = null, position = 'last') {
+    if (!this.clipboard) {
+      console.warn('Clipboard is empty');
+      return null;
+    }
+
+    const hasTarget = targetInternalId !== null && targetInternalId !== undefined;
+    const target = hasTarget ? this.internalIdMap.get(targetInternalId) : null;
+    if (hasTarget && !target) {
+      console.warn(`Cannot paste: target node ${targetInternalId} not found`);
+      return null;
+    }
+
+    if (this.clipboard.mode === 'cut') {
+      const internalIds = this.clipboard.internalIds.filter(internalId => this.internalIdMap.has(internalId));
+      if (internalIds.length === 0 || !this.moveNodes(internalIds, targetInternalId, position)) {
+        return null;
+      }
+      
+      this.clipboard = null;
+      this.notifyChange('clipboard');
+      return internalIds;
+    }
+
+    return this.insertNodeCopies(this.clipboard.nodes, target, position);
+  }
+
+  cloneSubtree(internalId, options = {}) {
+    const source = this.internalIdMap.get(internalId);
+    if (!source) {
+      console.warn(`Cannot clone: node with internal ID '${internalId}' not found`);
+      return null;
+    }
+
+    const { position = 'after', idStrategy = this.cloneIdStrategy } = options;
+    const target = position === 'before' || position === 'after' ? source : this.findParentNode(source);
+    const inserted = this.insertNodeCopies([source], target, position, idStrategy);
+    
+    return inserted ? inserted[0] : null;
+  }
+
+  insertNodeCopies(nodes, target, position, idStrategy = this.cloneIdStrategy) {
+    if (!this.canInsertAt(target, position)) {
+      console.warn(`Cannot insert at position '${position}'`);
+      return null;
+    }
+
+    const parent = position === 'before' || position === 'after' ? this.findParentNode(target) : target;
+    const copies = this.createNodeCopies(nodes, idStrategy)
+      .filter(copy => this.emitCancelable('beforeAdd', { node: copy, parent, reference: target, position }));
+    if (copies.length === 0) {
+      return null;
+    }
+
+    const insertion = this.insertNodes(copies, target, position);
+    this.recordHistory(this.createInsertCommand(copies, insertion));
+    this.refresh('add');
+
+    copies.forEach(copy => {
+      this.emit('add', this.createNodeEventPayload(copy, { parent, reference: target, position }));
+    });
+    
+    return copies.map(copy => copy._internalId);
+  }
+
+  createNodeCopies(nodes, idStrategy = this.cloneIdStrategy) {
+    const usedIds = new Set(Array.from(this.nodeDataMap.keys(), String));
+
+    const copyNode = (node) => {
+      const { children, _internalId, ...fields } = node;
+      const copy = { ...fields, _internalId: this.generateInternalId() };
+      
+      if (fields.id !== undefined && fields.id !== null) {
+        copy.id = this.createCopyId(node, usedIds, idStrategy);
+        usedIds.add(String(copy.id));
+      }
+      if (Array.isArray(children)) {
+        copy.children = children.map(copyNode);
+      }
+      
+      return copy;
+    };
+
+    return nodes.map(copyNode);
+  }
+
+  createCopyId(node, usedIds, idStrategy) {
+    if (typeof idStrategy === 'function') {
+      return idStrategy(node, usedIds);
+    }
+
+    if (idStrategy === 'suffix') {
+      const base = `${node.id}-copy`;
+      let candidate = base;
+      let counter = 2;
+      
+      while (usedIds.has(candidate)) {
+        candidate = `${base}-${counter++}`;
+      }
+      return candidate;
+    }
+
+    if (typeof node.id === 'number') {
+      let candidate = Array.from(usedIds, Number).reduce((max, id) => Number.isFinite(id) ? Math.max(max, id) : max, 0) + 1;
+      while (usedIds.has(String(candidate))) candidate++;
+      return candidate;
+    }
+
+    let candidate;
+    do {
+      candidate = `node_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 6)}`;
+    } while (usedIds.has(candidate));
+    return candidate;
+  }
+
+  findParentNode(targetNode) {
+    const findParent = (nodes, target, parent = null) => {
+      for (const node of nodes) {
+        if (node === target) {
+          return parent;
+        }
+        if (node.children && node.children.length > 0) {
+          const result = findParent(node.children, target, node);
+          if (result !== null) return result;
+        }
+      }
+      return null;
+    };
+
+    return findParent(this.data, targetNode);
+  }
+
+  cleanDataForExport(data) {
+    return data.map(node => {
+      const cleanNode = { ...node };
+      
+      delete cleanNode._internalId;
+      
+      if (cleanNode.children && cleanNode.children.length > 0) {
+        cleanNode.children = this.cleanDataForExport(cleanNode.children);
+      }
+      
+      return cleanNode;
+    });
+  }
+
+  getColumnValue(column, node) {
+    if (typeof column.accessor === 'function') {
+      return column.accessor(node);
+    }
+    // The tree column is usually declared without a field and shows the display field
+    const field = column.accessor || column.field || (column.tree ? this.displayField : undefined);
+    return node[field];
+  }
+
+  getColumnText(column, node) {
+    const value = this.getColumnValue(column, node);
+    
+    if (typeof column.formatter === 'function') {
+      return column.formatter(value, node);
+    }
+    return value === undefined || value === null ? '' : String(value);
+  }
+
+  convertTreeToCSV(data, options = {}) {
+    const {
+      fields = null,
+      columns = null,
+      includePath = false,
+      pathSeparator = ' / '
+    } = options;
+
+    const rows = [];
+    const collectRows = (nodes, level, parent, path) => {
+      nodes.forEach(node => {
+        const nodePath = [...path, node[this.displayField]];
+        rows.push({ node, level, parent, path: nodePath });
+        
+        if (node.children && node.children.length > 0) {
+          collectRows(node.children, level + 1, node, nodePath);
+        }
+      });
+    };
+    collectRows(data, 0, null, []);
+
+    let dataColumns;
+    if (Array.isArray(columns) && columns.length > 0) {
+      const treeColumnIndex = Math.max(0, columns.findIndex(column => column.tree));
+      dataColumns = columns.map((column, index) => ({
+        title: column.title || column.field || '',
+        value: (node) => {
+          const text = index === treeColumnIndex ? node[this.displayField] : this.getColumnText(column, node);
+          return text && typeof text === 'object' && text.nodeType ? text.textContent : text;
+        }
+      }));
+    } else {
+      let dataFields;
+      if (Array.isArray(fields)) {
+        dataFields = [this.displayField, ...fields.filter(field => field !== this.displayField)];
+      } else {
+        const keys = new Set([this.displayField]);
+        rows.forEach(({ node }) => {
+          Object.keys(node).forEach(key => {
+            if (!['id', 'children', '_internalId'].includes(key)) keys.add(key);
+          });
+        });
+        dataFields = Array.from(keys);
+      }
+      dataColumns = dataFields.map(field => ({ title: field, value: (node) => node[field] }));
+    }
+
+    const header = ['id', 'parentId', 'level', ...(includePath ? ['path'] : []), ...dataColumns.map(column => column.title)];
+    const lines = [header.map(value => this.escapeCSVValue(value)).join(',')];
+    
+    rows.forEach(({ node, level, parent, path }) => {
+      const values = [
+        node.id,
+        parent ? parent.id : undefined,
+        level,
+        ...(includePath ? [path.join(pathSeparator)] : []),
+        ...dataColumns.map(column => column.value(node))
+      ];
+      lines.push(values.map(value => this.escapeCSVValue(value)).join(','));
+    });
+    
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  escapeCSVValue(value) {
+    if (value === undefined) return '';
+    if (value === null) return 'null';
+    
+    // Objects, and strings that would be mistaken for them, carry a "json:" tag so a
+    // quoted cell without one always imports as a plain string.
+    const tagged = typeof value === 'object' || (typeof value === 'string' && value.startsWith('json:'));
+    const text = tagged ? `json:${JSON.stringify(value)}` : String(value);
+    const looksTyped = !tagged && typeof value === 'string' && this.parseCSVValue(text) !== text;
+    
+    if (text === '' || looksTyped || /[",\r\n]/.test(text) || text !== text.trim()) {
+      return `"${text.replace(/"/g, '""')}"`;
+    }
+    
+    return text;
+  }
+
+  parseCSV(text, { withQuotes = false } = {}) {
+    const input = String(text).replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let value = '';
+    let quoted = false;
+    let inQuotes = false;
+    
+    const pushValue = () => {
+      row.push(withQuotes ? { value, quoted } : value);
+      value = '';
+      quoted = false;
+    };
+
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
+      
+      if (inQuotes) {
+        if (char === '"' && input[i + 1] === '"') {
+          value += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          value += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+        quoted = true;
+      } else if (char === ',') {
+        pushValue();
+      } else if (char === '\r' || char === '\n') {
+        if (char === '\r' && input[i + 1] === '\n') i++;
+        pushValue();
+        rows.push(row);
+        row = [];
+      } else {
+        value += char;
+      }
+    }
+
+    if (inQuotes) {
+      throw new Error('CSV contains an unterminated quoted field');
+    }
+    if (value !== '' || quoted || row.length > 0) {
+      pushValue();
+      rows.push(row);
+    }
+    
+    const isBlank = (cells) => cells.length === 1 && (withQuotes ? cells[0].value === '' && !cells[0].quoted : cells[0] === '');
+    return rows.filter(cells => !isBlank(cells));
+  }
+
+  parseCSVValue(text) {
+    if (text.startsWith('json:')) {
+      try {
+        return JSON.parse(text.slice(5));
+      } catch (error) {
+        return text;
+      }
+    }
+    if (text === 'true') return true;
+    if (text === 'false') return false;
+    if (text === 'null') return null;
+    if (/^-?\d+(\.\d+)?$/.test(text) && String(Number(text)) === text) return Number(text);
+    
+    if (/^[[{]/.test(text)) {
+      try {
+        return JSON.parse(text);
+      } catch (error) {
+        return text;
+      }
+    }
+    
+    return text;
+  }
+
+  convertCSVToTree(text, options = {}) {
+    const {
+      fieldMap = {},
+      idColumn = 'id',
+      parentColumn = 'parentId',
+      levelColumn = 'level',
+      pathColumn = 'path',
+      pathSeparator = ' / ',
+      structure = null,
+      typed = true
+    } = options;
+
+    const [headerCells, ...records] = this.parseCSV(text, { withQuotes: true });
+    if (!headerCells) {
+      throw new Error('CSV contains no header row');
+    }
+    const header = headerCells.map(headerCell => headerCell.value);
+
+    const mode = structure || (header.includes(levelColumn) ? 'level'
+      : header.includes(parentColumn) ? 'parent'
+      : header.includes(pathColumn) ? 'path'
+      : 'flat');
+    const structuralColumns = new Set([parentColumn, levelColumn, pathColumn]);
+    const cell = (record, column) => {
+      const index = header.indexOf(column);
+      return index === -1 || record[index] === undefined ? '' : record[index].value;
+    };
+
+    const nodes = records.map(record => {
+      const node = {};
+      header.forEach((column, index) => {
+        const recordCell = record[index];
+        if (structuralColumns.has(column) || !recordCell || (recordCell.value === '' && !recordCell.quoted)) return;
+        
+        const { value, quoted } = recordCell;
+        const keepString = !typed || (quoted && !value.startsWith('json:'));
+        node[fieldMap[column] || column] = keepString ? value : this.parseCSVValue(value);
+      });
+      return node;
+    });
+
+    const roots = [];
+    const appendChild = (parent, node) => {
+      if (!parent) {
+        roots.push(node);
+        return;
+      }
+      parent.children = parent.children || [];
+      parent.children.push(node);
+    };
+
+    if (mode === 'level') {
+      const stack = [];
+      records.forEach((record, index) => {
+        const level = parseInt(cell(record, levelColumn), 10) || 0;
+        if (level > stack.length) {
+          throw new Error(`CSV row ${index + 2}: level ${level} has no parent row`);
+        }
+        
+        stack.length = level;
+        appendChild(stack[level - 1], nodes[index]);
+        stack.push(nodes[index]);
+      });
+    } else if (mode === 'parent') {
+      const nodesByKey = new Map();
+      records.forEach((record, index) => {
+        const key = cell(record, idColumn);
+        if (key !== '') nodesByKey.set(key, nodes[index]);
+      });
+      
+      records.forEach((record, index) => {
+        const parentKey = cell(record, parentColumn);
+        const parent = parentKey === '' ? null : nodesByKey.get(parentKey);
+        
+        if (parentKey !== '' && !parent) {
+          console.warn(`CSV row ${index + 2}: parent "${parentKey}" not found, importing as a root node`);
+        }
+        appendChild(parent, nodes[index]);
+      });
+
+      const countNodes = (list) => list.reduce((count, node) => count + 1 + countNodes(node.children || []), 0);
+      if (countNodes(roots) < nodes.length) {
+        throw new Error('CSV parent references contain a cycle');
+      }
+    } else if (mode === 'path') {
+      const nodesByPath = new Map();
+      records.forEach((record, index) => {
+        const segments = cell(record, pathColumn).split(pathSeparator);
+        let parent = null;
+        
+        segments.forEach((segment, depth) => {
+          const key = segments.slice(0, depth + 1).join(pathSeparator);
+          let node = nodesByPath.get(key);
+          
+          if (depth === segments.length - 1) {
+            node = node ? Object.assign(node, nodes[index]) : nodes[index];
+            if (node[this.displayField] === undefined) node[this.displayField] = segment;
+          } else if (!node) {
+            node = { [this.displayField]: segment };
+          }
+          
+          if (!nodesByPath.has(key)) {
+            nodesByPath.set(key, node);
+            appendChild(parent, node);
+          }
+          parent = node;
+        });
+      });
+    } else {
+      nodes.forEach(node => roots.push(node));
+    }
+
+    return roots;
+  }
+
+  importTreeFromCSV(text, options = {}) {
+    try {
+      const importedData = this.convertCSVToTree(text, options);
+      return this.importTreeData(importedData);
+    } catch (error) {
+      console.error('❌ Error importing CSV data:', error);
+      return false;
+    }
+  }
+
+  registerExportFormat(name, { serialize, extension = name, mimeType = 'text/plain' } = {}) {
+    if (typeof serialize !== 'function') {
+      console.warn(`Export format "${name}" needs a serialize function`);
+      return false;
+    }
+
+    this.exportFormats.set(name, { serialize, extension, mimeType });
+    return true;
+  }
+
+  getExportFormats() {
+    return Array.from(this.exportFormats.keys());
+  }
+
+  registerDefaultExportFormats() {
+    this.registerExportFormat('json', {
+      mimeType: 'application/json',
+      serialize: (nodes, options) => JSON.stringify(nodes, null, options.prettyPrint === false ? 0 : 2)
+    });
+    this.registerExportFormat('csv', {
+      mimeType: 'text/csv',
+      serialize: (nodes, options) => this.convertTreeToCSV(nodes, options)
+    });
+    this.registerExportFormat('markdown', {
+      extension: 'md',
+      mimeType: 'text/markdown',
+      serialize: (nodes) => this.convertTreeToMarkdown(nodes)
+    });
+    this.registerExportFormat('opml', {
+      mimeType: 'text/x-opml',
+      serialize: (nodes, options) => this.convertTreeToOPML(nodes, options)
+    });
+    this.registerExportFormat('xml', {
+      mimeType: 'application/xml',
+      serialize: (nodes, options) => this.convertTreeToXML(nodes, options)
+    });
+    this.registerExportFormat('yaml', {
+      extension: 'yml',
+      mimeType: 'text/yaml',
+      serialize: (nodes) => nodes.length > 0 ? this.formatYAML(nodes) + '\n' : '[]\n'
+    });
+    this.registerExportFormat('html', {
+      mimeType: 'text/html',
+      serialize: (nodes, options) => this.convertTreeToHTML(nodes, options)
+    });
+  }
+
+  exportAs(format, options = {}) {
+    const exporter = this.exportFormats.get(format);
+    if (!exporter) {
+      console.warn(`Unknown export format: ${format}`);
+      return null;
+    }
+
+    try {
+      return exporter.serialize(this.getExportNodes(options), options, this.owner);
+    } catch (error) {
+      console.error(`❌ Error exporting tree as ${format}:`, error);
+      return null;
+    }
+  }
+
+  getExportNodes({ visibleOnly = false, selectedOnly = false, includeInternalIds = false, rootInternalId = null } = {}) {
+    let nodes = visibleOnly ? this.getDisplayData() : this.data;
+    
+    if (rootInternalId !== null) {
+      const root = this.internalIdMap.get(rootInternalId);
+      nodes = root ? [root] : [];
+    }
+
+    if (selectedOnly) {
+      const collectSelected = (list) => list.reduce((selected, node) => {
+        if (this.selectedNodes.has(this.getNodeId(node))) {
+          selected.push(node);
+        } else if (node.children && node.children.length > 0) {
+          selected.push(...collectSelected(node.children));
+        }
+        return selected;
+      }, []);
+      
+      nodes = collectSelected(nodes);
+    }
+
+    return includeInternalIds ? JSON.parse(JSON.stringify(nodes)) : this.cleanDataForExport(nodes);
+  }
+
+  convertTreeToMarkdown(nodes, level = 0) {
+    return nodes.map(node => {
+      const label = this.getExportLabel(node)
+        .replace(/\s*[\r\n]+\s*/g, ' ')
+        .replace(/([\\`*_[\]#<>|])/g, '\\$1');
+      let line = `${'  '.repeat(level)}- ${label}\n`;
+      
+      if (node.children && node.children.length > 0) {
+        line += this.convertTreeToMarkdown(node.children, level + 1);
+      }
+      return line;
+    }).join('');
+  }
+
+  getExportLabel(node) {
+    const value = node[this.displayField];
+    return value === undefined || value === null ? '' : String(value);
+  }
+
+  escapeXML(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;')
+      .replace(/\r?\n/g, '&#10;');
+  }
+
+  getXMLAttributes(node, exclude = []) {
+    return Object.keys(node)
+      .filter(key => key !== 'children' && !exclude.includes(key) && /^[A-Za-z_][\w.-]*$/.test(key))
+      .filter(key => node[key] !== undefined)
+      .map(key => {
+        const value = node[key] !== null && typeof node[key] === 'object' ? JSON.stringify(node[key]) : node[key];
+        return ` ${key}="${this.escapeXML(value)}"`;
+      })
+      .join('');
+  }
+
+  convertTreeToOPML(nodes, { title = 'Tree Export' } = {}) {
+    const renderOutlines = (list, depth) => list.map(node => {
+      const indent = '  '.repeat(depth);
+      const attributes = ` text="${this.escapeXML(this.getExportLabel(node))}"${this.getXMLAttributes(node, [this.displayField, 'text'])}`;
+      
+      if (!node.children || node.children.length === 0) {
+        return `${indent}<outline${attributes}/>\n`;
+      }
+      return `${indent}<outline${attributes}>\n${renderOutlines(node.children, depth + 1)}${indent}</outline>\n`;
+    }).join('');
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      '<opml version="2.0">\n' +
+      '  <head>\n' +
+      `    <title>${this.escapeXML(title)}</title>\n` +
+      `    <dateCreated>${new Date().toUTCString()}</dateCreated>\n` +
+      '  </head>\n' +
+      '  <body>\n' +
+      renderOutlines(nodes, 2) +
+      '  </body>\n' +
+      '</opml>\n';
+  }
+
+  convertTreeToXML(nodes, { rootElement = 'tree', nodeElement = 'node' } = {}) {
+    const renderNodes = (list, depth) => list.map(node => {
+      const indent = '  '.repeat(depth);
+      const attributes = this.getXMLAttributes(node);
+      const extraFields = Object.keys(node)
+        .filter(key => key !== 'children' && !/^[A-Za-z_][\w.-]*$/.test(key) && node[key] !== undefined)
+        .map(key => {
+          const value = node[key] !== null && typeof node[key] === 'object' ? JSON.stringify(node[key]) : node[key];
+          return `${indent}  <field name="${this.escapeXML(key)}">${this.escapeXML(value)}</field>\n`;
+        })
+        .join('');
+      const children = node.children && node.children.length > 0 ? renderNodes(node.children, depth + 1) : '';
+      
+      if (!extraFields && !children) {
+        return `${indent}<${nodeElement}${attributes}/>\n`;
+      }
+      return `${indent}<${nodeElement}${attributes}>\n${extraFields}${children}${indent}</${nodeElement}>\n`;
+    }).join('');
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      `<${rootElement}>\n${renderNodes(nodes, 1)}</${rootElement}>\n`;
+  }
+
+  formatYAMLScalar(value) {
+    if (value === undefined || value === null) return 'null';
+    if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+    if (Array.isArray(value)) return '[]';
+    if (typeof value === 'object') return '{}';
+
+    const text = String(value);
+    const plain = /^[A-Za-z_][\w\-. ]*$/.test(text) && text === text.trim() &&
+      !/^(true|false|null|yes|no|on|off|y|n)$/i.test(text);
+    
+    return plain ? text : JSON.stringify(text);
+  }
+
+  formatYAML(value, indent = 0) {
+    const pad = ' '.repeat(indent);
+    const isBlock = (item) => item !== null && typeof item === 'object' && Object.keys(item).length > 0;
+
+    if (Array.isArray(value)) {
+      return value.map(item => isBlock(item)
+        ? `${pad}-${this.formatYAML(item, indent + 2).slice(indent + 1)}`
+        : `${pad}- ${this.formatYAMLScalar(item)}`
+      ).join('\n');
+    }
+
+    return Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .map(key => isBlock(value[key])
+        ? `${pad}${this.formatYAMLScalar(key)}:\n${this.formatYAML(value[key], Array.isArray(value[key]) ? indent : indent + 2)}`
+        : `${pad}${this.formatYAMLScalar(key)}: ${this.formatYAMLScalar(value[key])}`
+      ).join('\n');
+  }
+
+  convertTreeToHTML(nodes, { title = 'Tree Export', expandAll = false, theme = 'light' } = {}) {
+    const renderItems = (list) => list.map(node => {
+      const label = this.escapeXML(this.getExportLabel(node));
+      
+      if (!node.children || node.children.length === 0) {
+        return `<li><span class="leaf">${label}</span></li>`;
+      }
+      
+      const open = expandAll || this.expandedNodes.has(this.getNodeId(node)) ? ' open' : '';
+      return `<li><details${open}><summary>${label}</summary><ul>${renderItems(node.children)}</ul></details></li>`;
+    }).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${this.escapeXML(title)}</title>
+<style>
+  body { font-family: 'Inter', 'Segoe UI', Roboto, -apple-system, sans-serif; margin: 24px; color: ${theme === 'dark' ? '#f3f4f6' : '#1f2937'}; background: ${theme === 'dark' ? '#111827' : '#ffffff'}; }
+  .toolbar { margin-bottom: 12px; display: flex; gap: 8px; }
+  .toolbar button { padding: 6px 12px; border: 1px solid #d1d5db; border-radius: 6px; background: transparent; color: inherit; cursor: pointer; }
+  ul { list-style: none; padding-left: 20px; margin: 0; }
+  ul.tree { padding-left: 0; }
+  li { margin: 2px 0; }
+  summary { cursor: pointer; font-weight: 500; }
+  .leaf { padding-left: 14px; }
+</style>
+</head>
+<body>
+<h1>${this.escapeXML(title)}</h1>
+<div class="toolbar">
+  <button type="button" onclick="document.querySelectorAll('details').forEach(d => d.open = true)">Expand All</button>
+  <button type="button" onclick="document.querySelectorAll('details').forEach(d => d.open = false)">Collapse All</button>
+</div>
+<ul class="tree">${renderItems(nodes)}</ul>
+</body>
+</html>
+`;
+  }
+
+  importTreeData(jsonData) {
+    try {
+      let importedData;
+      
+      if (typeof jsonData === 'string') {
+        importedData = JSON.parse(jsonData);
+      } else {
+        importedData = jsonData;
+      }
+
+      if (!Array.isArray(importedData)) {
+        throw new Error('Imported data must be an array');
+      }
+      
+      importedData = this.checkData(importedData, 'import');
+      if (!importedData) {
+        throw new Error('Imported data failed validation');
+      }
+      
+      const snapshot = () => ({
+        data: this.data,
+        selected: Array.from(this.selectedNodes),
+        expanded: Array.from(this.expandedNodes)
+      });
+      const restore = ({ data, selected, expanded }) => {
+        this.data = data;
+        this.selectedNodes = new Set(selected);
+        this.expandedNodes = new Set(expanded);
+      };
+      
+      const previous = snapshot();
+      this.replaceData(importedData);
+      const next = snapshot();
+      this.recordHistory({ undo: () => restore(previous), redo: () => restore(next) });
+      
+      console.log('📥 Tree data imported successfully');
+      return true;
+    } catch (error) {
+      console.error('❌ Error importing tree data:', error);
+      return false;
+    }
+  }
+
+  getExportStats() {
+    const stats = {
+      totalNodes: 0,
+      totalLevels: 0,
+      selectedNodes: this.selectedNodes.size,
+      expandedNodes: this.expandedNodes.size,
+      filteredNodes: this.filteredData.length,
+      currentPage: this.currentPage,
+      totalPages: this.totalPages
+    };
+
+    const calculateStats = (nodes, level = 0) => {
+      stats.totalLevels = Math.max(stats.totalLevels, level);
+      
+      nodes.forEach(node => {
+        stats.totalNodes++;
+        
+        if (node.children && node.children.length > 0) {
+          calculateStats(node.children, level + 1);
+        }
+      });
+    };
+
+    calculateStats(this.data);
+    
+    return stats;
+  }
+
+  refresh(reason = 'data') {
+    this.applySortToData();
+    this.filteredData = this.filterNodes(this.data, this.searchTerm);
+    this.buildNodeDataMap();
+    this.notifyChange(reason);
+  }
+
+  cloneNodes(nodes) {
+    return nodes.map(node => {
+      const clone = { ...node };
+      if (Array.isArray(node.children)) {
+        clone.children = this.cloneNodes(node.children);
+      }
+      return clone;
+    });
+  }
+
+  locateNode(node) {
+    const parent = this.findParentNode(node);
+    const siblings = parent ? parent.children : this.data;
+    return { parent, index: siblings.indexOf(node) };
+  }
+
+  detachNode(node) {
+    const { parent, index } = this.locateNode(node);
+    const siblings = parent ? parent.children : this.data;
+    
+    if (index !== -1) {
+      siblings.splice(index, 1);
+    }
+  }
+
+  attachNode(node, parent, index) {
+    if (parent && !parent.children) {
+      parent.children = [];
+    }
+    
+    const siblings = parent ? parent.children : this.data;
+    siblings.splice(Math.min(index, siblings.length), 0, node);
+  }
+
+  revertInsertion({ newParent, expandedId, createdChildren }) {
+    if (createdChildren && newParent.children.length === 0) {
+      delete newParent.children;
+    }
+    if (expandedId) {
+      this.expandedNodes.delete(expandedId);
+    }
+  }
+
+  createInsertCommand(nodes, insertion = {}) {
+    const locations = nodes.map(node => ({ node, ...this.locateNode(node) }));
+    
+    return {
+      undo: () => {
+        locations.forEach(({ node }) => {
+          this.detachNode(node);
+          this.cleanupNodeMappings(node);
+        });
+        this.revertInsertion(insertion);
+      },
+      redo: () => {
+        locations.forEach(({ node, parent, index }) => this.attachNode(node, parent, index));
+        if (insertion.expandedId) this.expandedNodes.add(insertion.expandedId);
+      }
+    };
+  }
+
+  // Each history step is a list of { undo, redo } commands that invert one operation,
+  // so recording a change never copies the tree.
+  recordHistory(command) {
+    if (!this.historyLimit || this.historyLimit <= 0) return;
+
+    if (this.historyGroupDepth > 0 && this.historyGroupRecorded) {
+      this.undoStack[this.undoStack.length - 1].push(command);
+      return;
+    }
+    if (this.historyGroupDepth > 0) {
+      this.historyGroupRecorded = true;
+    }
+
+    this.undoStack.push([command]);
+    if (this.undoStack.length > this.historyLimit) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+  }
+
+  beginHistoryGroup() {
+    if (this.historyGroupDepth === 0) {
+      this.historyGroupRecorded = false;
+    }
+    this.historyGroupDepth++;
+  }
+
+  endHistoryGroup() {
+    if (this.historyGroupDepth === 0) {
+      console.warn('No history group is open');
+      return;
+    }
+    this.historyGroupDepth--;
+  }
+
+  groupHistory(callback) {
+    this.beginHistoryGroup();
+    try {
+      return callback();
+    } finally {
+      this.endHistoryGroup();
+    }
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  undo() {
+    if (!this.canUndo()) return false;
+
+    const step = this.undoStack.pop();
+    step.slice().reverse().forEach(command => command.undo());
+    this.redoStack.push(step);
+    this.refresh('history');
+    return true;
+  }
+
+  redo() {
+    if (!this.canRedo()) return false;
+
+    const step = this.redoStack.pop();
+    step.forEach(command => command.redo());
+    this.undoStack.push(step);
+    this.refresh('history');
+    return true;
+  }
+
+  clearHistory() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.historyGroupRecorded = false;
+  }
+
+  expandSubtree(internalId) {
+    const node = this.internalIdMap.get(internalId);
+    if (!node) return false;
+
+    const expand = (current) => {
+      if (!current.children || current.children.length === 0) return;
+      
+      this.expandedNodes.add(this.getNodeId(current));
+      current.children.forEach(expand);
+    };
+    
+    expand(node);
+    this.notifyChange('expand');
+    return true;
+  }
+
+  collapseSubtree(internalId) {
+    const node = this.internalIdMap.get(internalId);
+    if (!node) return false;
+
+    const collapse = (current) => {
+      this.expandedNodes.delete(this.getNodeId(current));
+      if (current.children) current.children.forEach(collapse);
+    };
+    
+    collapse(node);
+    this.notifyChange('collapse');
+    return true;
+  }
+
+  getState() {
+    return {
+      expanded: Array.from(this.expandedNodes).filter(nodeId => this.nodeDataMap.has(nodeId)),
+      selected: Array.from(this.selectedNodes).filter(nodeId => this.nodeDataMap.has(nodeId)),
+      page: this.currentPage,
+      pageSize: this.pageSize,
+      search: this.searchTerm
+    };
+  }
+
+  setState(state) {
+    if (!state || typeof state !== 'object') {
+      console.warn('Invalid tree state');
+      return false;
+    }
+
+    const knownIds = (ids) => Array.isArray(ids) ? ids.map(String).filter(nodeId => this.nodeDataMap.has(nodeId)) : null;
+
+    const expanded = knownIds(state.expanded);
+    if (expanded) {
+      this.expandedNodes = new Set(expanded);
+    }
+
+    const selected = knownIds(state.selected);
+    if (selected) {
+      this.selectedNodes = new Set(this.multiSelect || this.checkable ? selected : selected.slice(0, 1));
+    }
+
+    if (Number.isInteger(state.pageSize) && state.pageSize > 0) {
+      this.pageSize = state.pageSize;
+    }
+
+    if (typeof state.search === 'string' && state.search.trim() !== this.searchTerm) {
+      this.search(state.search);
+    }
+
+    if (Number.isInteger(state.page)) {
+      this.currentPage = state.page;
+      this.calculatePagination();
+    }
+
+    this.notifyChange('state');
+    this.emitPageChange();
+    return true;
+  }
+
+  getCurrentPageInfo() {
+    const totalItems = this.getPaginationTotal();
+    
+    return {
+      currentPage: this.currentPage,
+      totalPages: this.totalPages,
+      pageSize: this.pageSize,
+      totalItems,
+      startItem: (this.currentPage - 1) * this.pageSize + 1,
+      endItem: Math.min(this.currentPage * this.pageSize, totalItems)
+    };
+  }
+
+  getExpandedNodes() {
+    return Array.from(this.expandedNodes);
+  }
+
+  updateData(newData, { validate = true } = {}) {
+    if (validate) {
+      newData = this.checkData(newData, 'updateData');
+      if (!newData) {
+        console.error('❌ Tree data rejected by validation:', this.validationReport);
+        return false;
+      }
+    }
+
+    this.clearHistory();
+    this.replaceData(newData);
+    return true;
+  }
+
+  replaceData(newData) {
+    this.data = newData;
+    this.applySortToData();
+    this.filteredData = newData;
+    this.currentPage = 1; 
+    this.buildNodeDataMap();
+    this.notifyChange('data');
+  }
+
+  validateData(data, options = {}) {
+    const {
+      maxDepth = this.maxDepth,
+      maxNodes = this.maxNodes,
+      sanitize = false
+    } = options;
+
+    const report = { valid: true, errors: [], warnings: [], nodeCount: 0, depth: 0 };
+    const addIssue = (list, path, code, message) => list.push({ path, code, message });
+
+    if (!Array.isArray(data)) {
+      addIssue(report.errors, 'data', 'INVALID_ROOT', 'Tree data must be an array');
+      report.valid = false;
+      return report;
+    }
+
+    const unsafeKeys = ['__proto__', 'constructor', 'prototype'];
+    const seenIds = new Map();
+    const ancestors = new Set();
+    const usedIds = sanitize ? this.collectDataIds(data) : null;
+    let limitReported = false;
+
+    // Sanitizing copies any node or array it changes, so the caller's data is never modified.
+    const visitNodes = (nodes, path, depth) => {
+      const kept = [];
+      let changed = false;
+      
+      nodes.forEach((node, index) => {
+        const nodePath = `${path}[${index}]`;
+
+        if (node === null || typeof node !== 'object' || Array.isArray(node)) {
+          addIssue(report.errors, nodePath, 'INVALID_NODE', 'Node must be an object');
+          changed = true;
+          return;
+        }
+        if (ancestors.has(node)) {
+          addIssue(report.errors, nodePath, 'CYCLE', 'Node is its own ancestor');
+          changed = true;
+          return;
+        }
+        if (report.nodeCount >= maxNodes) {
+          if (!limitReported) {
+            addIssue(report.errors, nodePath, 'MAX_NODES', `Tree exceeds the limit of ${maxNodes} nodes`);
+            limitReported = true;
+          }
+          kept.push(node);
+          return;
+        }
+
+        report.nodeCount++;
+        report.depth = Math.max(report.depth, depth);
+
+        let sanitizedNode = node;
+        const editNode = () => {
+          if (sanitizedNode === node) sanitizedNode = { ...node };
+          return sanitizedNode;
+        };
+
+        unsafeKeys.forEach(key => {
+          if (!Object.prototype.hasOwnProperty.call(node, key)) return;
+          
+          addIssue(report.warnings, nodePath, 'UNSAFE_KEY', `Unsafe key "${key}" ${sanitize ? 'removed' : 'found'}`);
+          if (sanitize) delete editNode()[key];
+        });
+
+        if (node[this.displayField] === undefined || node[this.displayField] === null) {
+          addIssue(report.warnings, nodePath, 'MISSING_DISPLAY_FIELD', `Node has no "${this.displayField}" value`);
+        }
+
+        if (node.id !== undefined && node.id !== null) {
+          const key = String(node.id);
+          if (seenIds.has(key) && sanitize) {
+            const newId = this.createCopyId(node, usedIds, this.cloneIdStrategy);
+            usedIds.add(String(newId));
+            editNode().id = newId;
+            addIssue(report.warnings, nodePath, 'DUPLICATE_ID', `Duplicate id "${key}" (first used at ${seenIds.get(key)}) replaced with "${newId}"`);
+          } else if (seenIds.has(key)) {
+            addIssue(report.warnings, nodePath, 'DUPLICATE_ID', `Duplicate id "${key}" (first used at ${seenIds.get(key)})`);
+          } else {
+            seenIds.set(key, nodePath);
+          }
+        }
+
+        if (node.children !== undefined && node.children !== null) {
+          if (!Array.isArray(node.children)) {
+            addIssue(report.errors, `${nodePath}.children`, 'INVALID_CHILDREN', 'Children must be an array');
+            if (sanitize) delete editNode().children;
+          } else if (node.children.length > 0 && depth >= maxDepth) {
+            addIssue(report.errors, `${nodePath}.children`, 'MAX_DEPTH', `Tree exceeds the maximum depth of ${maxDepth}`);
+          } else {
+            ancestors.add(node);
+            const children = visitNodes(node.children, `${nodePath}.children`, depth + 1);
+            ancestors.delete(node);
+            
+            if (sanitize && children !== node.children) editNode().children = children;
+          }
+        }
+
+        changed = changed || sanitizedNode !== node;
+        kept.push(sanitizedNode);
+      });
+
+      return changed ? kept : nodes;
+    };
+
+    const sanitized = visitNodes(data, 'data', 1);
+    report.valid = report.errors.length === 0;
+    report.limitExceeded = report.errors.some(issue => issue.code === 'MAX_NODES' || issue.code === 'MAX_DEPTH');
+    if (sanitize) {
+      report.data = sanitized;
+    }
+    
+    return report;
+  }
+
+  collectDataIds(data) {
+    const ids = new Set();
+    const visited = new Set();
+    const collect = (nodes) => nodes.forEach(node => {
+      if (node === null || typeof node !== 'object' || visited.has(node)) return;
+      visited.add(node);
+      
+      if (node.id !== undefined && node.id !== null) ids.add(String(node.id));
+      if (Array.isArray(node.children)) collect(node.children);
+    });
+
+    collect(data);
+    return ids;
+  }
+
+  // Returns the data to use (sanitized unless strict) or null when it is rejected.
+  checkData(data, source) {
+    const { data: sanitizedData = data, ...report } = this.validateData(data, { sanitize: !this.strict });
+    const issueCount = report.errors.length + report.warnings.length;
+    
+    report.source = source;
+    report.accepted = Array.isArray(data) && !report.limitExceeded && (!this.strict || issueCount === 0);
+    this.validationReport = report;
+
+    if (issueCount > 0) {
+      console.warn(`⚠️ Tree data validation (${source}): ${report.errors.length} error(s), ${report.warnings.length} warning(s)`, report);
+    }
+    this.emit('validate', report);
+    
+    return report.accepted ? sanitizedData : null;
+  }
+
+  getValidationReport() {
+    return this.validationReport;
+  }
+
+  static fromFlat(rows, options = {}) {
+    const {
+      idField = 'id',
+      parentField = 'parentId',
+      rootValue = null,
+      depthField = null,
+      orderField = null,
+      orphans: orphanMode = 'root'
+    } = options;
+
+    if (!Array.isArray(rows)) {
+      throw new Error('Flat data must be an array');
+    }
+
+    const nodes = rows.map(row => ({ ...row }));
+    const nodesById = new Map();
+    const duplicates = [];
+    
+    nodes.forEach(node => {
+      const id = node[idField];
+      if (id === undefined || id === null) return;
+      
+      if (nodesById.has(String(id))) {
+        duplicates.push(id);
+      } else {
+        nodesById.set(String(id), node);
+      }
+    });
+
+    const isRoot = (value) => value === undefined || value === null || value === rootValue;
+    const parentOf = new Map();
+    const orphans = [];
+    const orphanNodes = new Set();
+    
+    nodes.forEach(node => {
+      const parentValue = node[parentField];
+      if (isRoot(parentValue)) return;
+
+      const parent = nodesById.get(String(parentValue));
+      if (parent) {
+        parentOf.set(node, parent);
+      } else {
+        orphans.push({ id: node[idField], parentId: parentValue });
+        orphanNodes.add(node);
+      }
+    });
+
+    const cycles = [];
+    const visited = new Set();
+    
+    nodes.forEach(node => {
+      const path = [];
+      let current = node;
+      
+      while (current && !visited.has(current)) {
+        const cycleStart = path.indexOf(current);
+        if (cycleStart !== -1) {
+          cycles.push(path.slice(cycleStart).map(member => member[idField]));
+          parentOf.delete(current);
+          break;
+        }
+        path.push(current);
+        current = parentOf.get(current);
+      }
+      
+      path.forEach(member => visited.add(member));
+    });
+
+    if (orderField) {
+      nodes.sort((a, b) => (Number(a[orderField]) || 0) - (Number(b[orderField]) || 0));
+    }
+
+    const data = [];
+    
+    nodes.forEach(node => {
+      const parent = parentOf.get(node);
+      const isOrphan = orphanNodes.has(node);
+      
+      delete node[parentField];
+      if (depthField) delete node[depthField];
+      if (orderField) delete node[orderField];
+      
+      if (parent) {
+        parent.children = parent.children || [];
+        parent.children.push(node);
+      } else if (!isOrphan || orphanMode !== 'drop') {
+        data.push(node);
+      }
+    });
+
+    return { data, orphans, cycles, duplicates };
+  }
+
+  convertFlatData(rows) {
+    const { data, orphans, cycles, duplicates } = TreeModel.fromFlat(rows, this.flatOptions);
+    this.flatReport = { orphans, cycles, duplicates };
+
+    if (orphans.length > 0) {
+      console.warn(`⚠️ ${orphans.length} flat row(s) reference a missing parent:`, orphans);
+    }
+    if (cycles.length > 0) {
+      console.warn(`⚠️ ${cycles.length} parent cycle(s) found in flat data and broken:`, cycles);
+    }
+    if (duplicates.length > 0) {
+      console.warn(`⚠️ Duplicate IDs found in flat data:`, duplicates);
+    }
+
+    return data;
+  }
+
+  updateFlatData(rows) {
+    this.updateData(this.convertFlatData(rows));
+    return this.flatReport;
+  }
+
+  toFlat(options = {}) {
+    const {
+      idField = 'id',
+      parentField = 'parentId',
+      rootValue = null,
+      depthField = 'depth',
+      orderField = 'order',
+      includeInternalIds = false
+    } = options;
+
+    const rows = [];
+    const collectRows = (nodes, parentId, depth) => {
+      nodes.forEach((node, index) => {
+        const { children, ...row } = node;
+        const id = node[idField] !== undefined ? node[idField] : this.generateNodeId(node);
+        
+        if (!includeInternalIds) delete row._internalId;
+        row[idField] = id;
+        row[parentField] = parentId;
+        if (depthField) row[depthField] = depth;
+        if (orderField) row[orderField] = index;
+        rows.push(row);
+
+        if (children && children.length > 0) {
+          collectRows(children, id, depth + 1);
+        }
+      });
+    };
+
+    collectRows(this.data, rootValue, 0);
+    return rows;
+  }
+}
+
+class TreeView {
+  constructor({ 
+    container, 
+    data, 
+    dataFormat = 'nested',
+    flatOptions = {},
+    displayField = 'name', 
+    onNodeClick = () => {}, 
+    onNodeSelect = () => {},
+    onNodeExpand = () => {},
+    onNodeCollapse = () => {},
+    onNodeRemove = () => {},
+    loadChildren = null,
+    onNodeMove = () => {},
+    draggable = false,
+    canDrop = null,
+    editable = false,
+    validateEdit = null,
+    onNodeRename = () => {},
+    renderNode = null,
+    contextMenu = null,
+    columns = null,
+    sort = null,
+    historyLimit = 50,
+    cloneIdStrategy = 'regenerate',
+    multiSelect = false,
+    searchable = true,
+    searchMatch = 'substring',
+    fuzzyThreshold = 0,
+    searchFields = null,
+    matchNode = null,
+    searchMode = 'filter',
+    restoreExpansionOnClear = false,
+    expandAll = false,
+    theme = 'light',
+    showCheckboxes = false,
+    checkboxCascade = 'both',
+    pageSize = 10,
+    showPagination = true,
+    paginationMode = 'roots',
+    virtualize = false,
+    rowHeight = 38,
+    virtualBuffer = 10,
+    persistKey = null,
+    state = null,
+    hydrate = false,
+    strict = false,
+    maxDepth = 1000,
+    maxNodes = Infinity
+  }) {
+    if (!container) throw new Error("TreeView: 'container' is required");
+    
+    this.container = container;
+    this.document = container.ownerDocument || (typeof document !== 'undefined' ? document : null);
+    this.window = this.document.defaultView || (typeof window !== 'undefined' ? window : null);
+    this.model = new TreeModel({
+      data,
+      dataFormat,
+      flatOptions,
+      displayField,
+      onNodeSelect,
+      onNodeExpand,
+      onNodeCollapse,
+      onNodeRemove,
+      onNodeMove,
+      loadChildren,
+      sort,
+      historyLimit,
+      cloneIdStrategy,
+      multiSelect,
+      checkable: showCheckboxes,
+      searchMatch,
+      fuzzyThreshold,
+      searchFields,
+      matchNode,
+      searchMode,
+      restoreExpansionOnClear,
+      checkboxCascade,
+      pageSize,
+      paginate: showPagination,
+      paginationMode,
+      strict,
+      maxDepth,
+      maxNodes
+    });
+    this.model.owner = this;
+    this.model.subscribe(change => this.handleModelChange(change));
+    
+    this.onNodeClick = onNodeClick;
+    this.draggable = draggable;
+    this.canDrop = canDrop;
+    this.editable = editable;
+    this.validateEdit = validateEdit;
+    this.onNodeRename = onNodeRename;
+    this.renderNode = renderNode;
+    this.columns = Array.isArray(columns) && columns.length > 0 ? columns : null;
+    this.treeColumnIndex = this.columns ? Math.max(0, this.columns.findIndex(column => column.tree)) : 0;
+    this.columnWidths = this.columns ? this.columns.map(column => column.width || 150) : [];
+    this.contextMenu = contextMenu;
+    this.contextMenuState = null;
+    this.searchable = searchable;
+    this.expandAll = expandAll;
+    this.theme = theme;
+    this.persistKey = persistKey;
+    this.persistReady = false;
+    this.showCheckboxes = showCheckboxes;
+    this.showPagination = showPagination;
+    this.virtualize = virtualize;
+    this.rowHeight = rowHeight;
+    this.virtualBuffer = virtualBuffer;
+    
+    this.deferRender = false;
+    this.searchMatches = [];
+    this.activeMatchIndex = -1;
+    
+    this.wrapper = null;
+    this.searchInput = null;
+    this.searchNav = null;
+    this.contentContainer = null;
+    this.paginationContainer = null; 
+    this.gridHeader = null;
+    
+    this.visibleRows = [];
+    this.virtualList = null;
+    this.virtualRange = null;
+    this.virtualScrollFrame = null;
+    
+    this.dragState = null;
+    this.dragExpandTimer = null;
+    
+    this.focusedNodeId = null;
+    this.typeAheadBuffer = '';
+    this.typeAheadTimer = null;
+    
+    this.editingState = null;
+    
+    this.injectStyles();
+    
+    if (this.expandAll) {
+      this.expandAllNodes();
+    }
+    
+    if (state) {
+      this.setState(state);
+    }
+    
+    if (hydrate) {
+      this.hydrate();
+    } else {
+      this.render();
+    }
+    
+    if (this.persistKey) {
+      const savedState = this.loadPersistedState();
+      if (savedState) {
+        this.setState(savedState);
+      }
+      this.persistReady = true;
+      this.persistState();
+    }
+  }
+
+ injectStyles() {
+  const existing = this.document.getElementById("enhanced-treeview-styles");
+  if (existing) {
+    if (this.container.contains(existing)) {
+      this.document.head.appendChild(existing);
+    }
+    return;
+  }
+
+  const style = this.document.createElement("style");
+  style.id = "enhanced-treeview-styles";
+  style.textContent = `
+    .enhanced-tree-container {
+      font-family: 'Inter', 'Segoe UI', Roboto, -apple-system, sans-serif;
+      border-radius: 12px;
+      overflow: hidden;
+      box-shadow: 0 4px 20px rgba(0, 0, 0, 0.08);
+      background: white;
+      border: 1px solid #e5e7eb;
+    }
+
+    .enhanced-tree-container.dark {
+      background: #1f2937;
+      border-color: #374151;
+      color: #f9fafb;
+    }
+
+    .tree-search {
+      padding: 16px;
+      border-bottom: 1px solid #e5e7eb;
+      background: #fafafa;
+    }
+
+    .dark .tree-search {
+      background: #111827;
+      border-color: #374151;
+    }
+
+    .tree-search input {
+      width: 100%;
+      padding: 10px 0px;
+      border: 2px solid #e5e7eb;
+      border-radius: 8px;
+      font-size: 14px;
+      transition: all 0.2s ease;
+      background: white;
+      outline: none;
+    }
+
+    .tree-search input:focus {
+      border-color: #3b82f6;
+      box-shadow: 0 0 0 3px rgba(59, 130, 246, 0.1);
+    }
+
+    .dark .tree-search input {
+      background: #1f2937;
+      border-color: #4b5563;
+      color: #f9fafb;
+    }
+
+    .dark .tree-search input:focus {
+      border-color: #60a5fa;
+    }
+
+    .tree-content {
+      max-height: 400px;
+      overflow-y: auto;
+      padding: 8px 0;
+    }
+
+    .tree-content::-webkit-scrollbar {
+      width: 8px;
+    }
+
+    .tree-content::-webkit-scrollbar-track {
+      background: #f1f5f9;
     }
 
     .tree-content::-webkit-scrollbar-thumb {
@@ -318,6 +3309,159 @@ class TreeView {
       box-shadow: 0 6px 20px rgba(59, 130, 246, 0.4);
     }
 
+    .enhanced-tree [role="treeitem"] {
+      outline: none;
+    }
+
+    .enhanced-tree [role="treeitem"]:focus-visible > .tree-node {
+      outline: 2px solid #3b82f6;
+      outline-offset: -2px;
+    }
+
+    .enhanced-tree .tree-highlight {
+      background: #fde68a;
+      color: inherit;
+      border-radius: 2px;
+      padding: 0 1px;
+    }
+
+    .dark .enhanced-tree .tree-highlight {
+      background: #a16207;
+    }
+
+    .enhanced-tree .tree-node.selected .tree-highlight {
+      background: rgba(253, 230, 138, 0.6);
+    }
+
+    .tree-context-menu {
+      position: fixed;
+      z-index: 10000;
+      min-width: 180px;
+      padding: 4px;
+      background: #ffffff;
+      border: 1px solid #e5e7eb;
+      border-radius: 8px;
+      box-shadow: 0 8px 24px rgba(0, 0, 0, 0.15);
+      font-family: 'Inter', 'Segoe UI', Roboto, -apple-system, sans-serif;
+      font-size: 13px;
+      color: #1f2937;
+    }
+
+    .tree-context-menu.dark {
+      background: #1f2937;
+      border-color: #374151;
+      color: #f3f4f6;
+    }
+
+    .tree-context-menu-item {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      padding: 6px 10px;
+      border-radius: 4px;
+      cursor: pointer;
+      outline: none;
+      user-select: none;
+    }
+
+    .tree-context-menu-item:focus {
+      background: #eff6ff;
+    }
+
+    .tree-context-menu.dark .tree-context-menu-item:focus {
+      background: #374151;
+    }
+
+    .tree-context-menu-item[aria-disabled="true"] {
+      opacity: 0.5;
+      cursor: default;
+    }
+
+    .tree-context-menu-icon {
+      width: 16px;
+      display: inline-flex;
+      justify-content: center;
+    }
+
+    .tree-context-menu-label {
+      flex: 1;
+    }
+
+    .tree-context-menu-shortcut,
+    .tree-context-menu-arrow {
+      font-size: 11px;
+      color: #9ca3af;
+    }
+
+    .tree-context-menu-separator {
+      height: 1px;
+      margin: 4px 0;
+      background: #e5e7eb;
+    }
+
+    .tree-context-menu.dark .tree-context-menu-separator {
+      background: #374151;
+    }
+
+    .enhanced-tree .tree-node.cut {
+      opacity: 0.5;
+      font-style: italic;
+    }
+
+    .enhanced-tree .tree-node.search-dimmed {
+      opacity: 0.45;
+    }
+
+    .enhanced-tree .tree-node.continued {
+      opacity: 0.7;
+    }
+
+    .enhanced-tree .tree-node.continued .tree-label::after {
+      content: " (continued)";
+      font-size: 12px;
+      font-style: italic;
+      color: #9ca3af;
+    }
+
+    .enhanced-tree .tree-node.active-match {
+      box-shadow: inset 0 0 0 2px #f59e0b;
+    }
+
+    .tree-search-nav {
+      display: flex;
+      align-items: center;
+      gap: 4px;
+      font-size: 12px;
+      color: #6b7280;
+      white-space: nowrap;
+    }
+
+    .tree-search-nav[hidden] {
+      display: none;
+    }
+
+    .dark .tree-search-nav {
+      color: #9ca3af;
+    }
+
+    .enhanced-tree .tree-node.dragging {
+      opacity: 0.5;
+    }
+
+    .enhanced-tree .tree-node.drop-before {
+      box-shadow: inset 0 2px 0 #3b82f6;
+    }
+
+    .enhanced-tree .tree-node.drop-after {
+      box-shadow: inset 0 -2px 0 #3b82f6;
+    }
+
+    .enhanced-tree .tree-node.drop-inside {
+      background: rgba(59, 130, 246, 0.15);
+      outline: 2px dashed #3b82f6;
+      outline-offset: -2px;
+    }
+
     .enhanced-tree .tree-toggle {
       display: flex;
       align-items: center;
@@ -344,6 +3488,52 @@ class TreeView {
       transform: rotate(90deg) scale(1.1);
     }
 
+    .enhanced-tree .tree-toggle.loading,
+    .enhanced-tree .tree-toggle.loading:hover {
+      background: transparent;
+      border-color: transparent;
+      transform: none;
+    }
+
+    .enhanced-tree .tree-toggle.error {
+      background: rgba(239, 68, 68, 0.1);
+      border-color: rgba(239, 68, 68, 0.4);
+    }
+
+    .enhanced-tree .tree-toggle.error svg {
+      color: #ef4444;
+    }
+
+    .enhanced-tree .tree-spinner {
+      width: 12px;
+      height: 12px;
+      border: 2px solid rgba(59, 130, 246, 0.25);
+      border-top-color: #3b82f6;
+      border-radius: 50%;
+      animation: treeSpin 0.8s linear infinite;
+    }
+
+    @keyframes treeSpin {
+      to {
+        transform: rotate(360deg);
+      }
+    }
+
+    .enhanced-tree .tree-retry {
+      margin-left: 8px;
+      padding: 2px 8px;
+      border: 1px solid rgba(239, 68, 68, 0.4);
+      border-radius: 4px;
+      background: transparent;
+      color: #ef4444;
+      font-size: 11px;
+      cursor: pointer;
+    }
+
+    .enhanced-tree .tree-retry:hover {
+      background: rgba(239, 68, 68, 0.1);
+    }
+
     .enhanced-tree .tree-toggle svg {
       width: 12px;
       height: 12px;
@@ -406,6 +3596,11 @@ class TreeView {
       border-color: #3b82f6;
     }
 
+    .enhanced-tree .tree-checkbox.indeterminate {
+      background: #3b82f6;
+      border-color: #3b82f6;
+    }
+
     .enhanced-tree .tree-checkbox svg {
       width: 10px;
       height: 10px;
@@ -418,10 +3613,112 @@ class TreeView {
       letter-spacing: -0.01em;
     }
 
+    .enhanced-tree .tree-edit-input {
+      width: 100%;
+      box-sizing: border-box;
+      padding: 2px 6px;
+      border: 1px solid #3b82f6;
+      border-radius: 4px;
+      font: inherit;
+      color: #111827;
+      background: white;
+      outline: none;
+    }
+
+    .enhanced-tree .tree-edit-input.invalid {
+      border-color: #ef4444;
+    }
+
+    .enhanced-tree .tree-edit-error {
+      margin-top: 2px;
+      font-size: 11px;
+      font-weight: 400;
+      color: #ef4444;
+    }
+
+    .enhanced-tree .tree-edit-error:empty {
+      display: none;
+    }
+
     .enhanced-tree .tree-node.selected .tree-label {
       font-weight: 600;
     }
 
+    .tree-grid-header {
+      display: flex;
+      padding: 8px 8px;
+      margin: 0 4px;
+      overflow: hidden;
+      border-bottom: 1px solid #e5e7eb;
+      font-size: 12px;
+      font-weight: 600;
+      color: #4b5563;
+      user-select: none;
+    }
+
+    .dark .tree-grid-header {
+      border-color: #374151;
+      color: #d1d5db;
+    }
+
+    .tree-grid-header-cell {
+      position: relative;
+      display: flex;
+      align-items: center;
+      gap: 4px;
+      flex-shrink: 0;
+      box-sizing: border-box;
+      padding-right: 8px;
+      overflow: hidden;
+      white-space: nowrap;
+    }
+
+    .tree-grid-header-cell.sortable {
+      cursor: pointer;
+    }
+
+    .tree-grid-sort {
+      font-size: 10px;
+      color: #3b82f6;
+    }
+
+    .tree-grid-resizer {
+      position: absolute;
+      top: 0;
+      right: 0;
+      width: 6px;
+      height: 100%;
+      cursor: col-resize;
+    }
+
+    .tree-grid-resizer:hover {
+      background: rgba(59, 130, 246, 0.3);
+    }
+
+    .enhanced-tree.grid .tree-level {
+      padding-left: 0;
+    }
+
+    .enhanced-tree .tree-cell {
+      flex-shrink: 0;
+      box-sizing: border-box;
+      padding-right: 8px;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+    }
+
+    .enhanced-tree .tree-cell-main {
+      display: flex;
+      align-items: center;
+    }
+
+    .enhanced-tree .tree-cell-main .tree-label {
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+    }
+
     .enhanced-tree .tree-children {
       overflow: hidden;
       transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
@@ -606,6 +3903,23 @@ class TreeView {
     .enhanced-tree .tree-node {
       animation: slideIn 0.2s ease-out;
     }
+
+    .enhanced-tree.virtual {
+      position: relative;
+    }
+
+    .enhanced-tree.virtual > ul {
+      position: absolute;
+      top: 0;
+      left: 0;
+      right: 0;
+    }
+
+    .enhanced-tree.virtual .tree-node {
+      box-sizing: border-box;
+      min-height: 0;
+      animation: none;
+    }
       
     .theme-toggle-btn {
       display: flex;
@@ -653,7 +3967,7 @@ class TreeView {
 }
 
   `;
-  document.head.appendChild(style);
+  this.document.head.appendChild(style);
 }
 
 
@@ -664,69 +3978,434 @@ class TreeView {
     this.updateTreeContent();
   }
 
+  hydrate() {
+    const wrapper = this.container.querySelector(".enhanced-tree-container");
+    if (!wrapper) {
+      console.warn('⚠️ No server-rendered tree found in the container, rendering on the client');
+      this.render();
+      return false;
+    }
+
+    this.wrapper = wrapper;
+    this.searchInput = wrapper.querySelector(".tree-search input");
+    this.searchNav = wrapper.querySelector(".tree-search-nav");
+    this.gridHeader = wrapper.querySelector(".tree-grid-header");
+    this.contentContainer = wrapper.querySelector(".tree-content");
+    this.paginationContainer = wrapper.querySelector(".tree-pagination");
+    this.bindMainStructure();
+    this.updateSearchMatches();
+
+    if (this.virtualize || !this.hydrateTreeItems()) {
+      this.updateTreeContent();
+      return true;
+    }
+
+    if (this.paginationContainer) {
+      this.bindPaginationControls();
+    }
+    this.persistState();
+    return true;
+  }
+
+  hydrateTreeItems() {
+    const items = Array.from(this.contentContainer.querySelectorAll('[role="treeitem"]'));
+    const nodes = [];
+    const collect = (list) => list.forEach(node => {
+      nodes.push(node);
+      if (node.children && node.children.length > 0) collect(node.children);
+    });
+    
+    if (this.paginationMode === 'rows') {
+      nodes.push(...this.getPageRows().map(row => row.node));
+    } else {
+      collect(this.getPaginatedData());
+    }
+
+    const expected = this.document.createElement("li");
+    const matches = items.length === nodes.length && items.every((item, index) => {
+      this.syncTreeItemState(expected, nodes[index]);
+      
+      return item.dataset.nodeId === this.getNodeId(nodes[index]) &&
+        ['aria-expanded', 'aria-selected', 'aria-checked'].every(name => item.getAttribute(name) === expected.getAttribute(name));
+    });
+    if (!matches) {
+      console.warn('⚠️ Server-rendered tree does not match the current data and state, re-rendering its rows');
+      return false;
+    }
+
+    items.forEach((li, index) => {
+      const nodeDiv = li.firstElementChild;
+      nodeDiv.dataset.internalId = nodes[index]._internalId;
+      this.bindNodeElement(nodeDiv, li, nodes[index]);
+    });
+    return true;
+  }
+
+  handleModelChange({ reason, nodeId, loaded }) {
+    if (reason === 'search') {
+      this.activeMatchIndex = -1;
+    }
+    if (reason === 'sort') {
+      this.updateGridHeader();
+    }
+    if (!this.contentContainer || this.deferRender) return;
+
+    const lazyLoad = reason === 'loading' || reason === 'loadError' || loaded;
+    if (!lazyLoad || !this.patchLoadedRow(nodeId, loaded)) {
+      this.updateTreeContent();
+    }
+  }
+
+  patchLoadedRow(nodeId, loaded) {
+    const node = this.nodeDataMap.get(nodeId);
+    const nodeDiv = node && this.contentContainer.querySelector(`.tree-node[data-internal-id="${node._internalId}"]`);
+    const li = nodeDiv && nodeDiv.parentElement;
+    if (!this.canPatchRow(li)) return false;
+    if (loaded && (this.searchTerm || node.children.length === 0)) return false;
+
+    this.refreshNodeRow(node, li);
+    
+    if (loaded) {
+      const childrenContainer = this.document.createElement("div");
+      childrenContainer.setAttribute("role", "none");
+      childrenContainer.className = "tree-children expanded";
+      childrenContainer.appendChild(this.createTree(node.children, Number(li.getAttribute("aria-level")) || 1));
+      li.appendChild(childrenContainer);
+      this.persistState();
+    }
+    return true;
+  }
+
+  withoutRender(callback) {
+    const deferred = this.deferRender;
+    this.deferRender = true;
+    
+    try {
+      return callback();
+    } finally {
+      this.deferRender = deferred;
+    }
+  }
+
   createMainStructure() {
     this.container.innerHTML = "";
-    this.wrapper = document.createElement("div");
+    this.wrapper = this.document.createElement("div");
     this.wrapper.className = `enhanced-tree-container ${this.theme}`;
 
-    if (this.searchable) {
-      const searchContainer = document.createElement("div");
-      searchContainer.className = "tree-search";
-      
-      const searchWrapper = document.createElement("div");
-      searchWrapper.style.cssText = "display: flex; align-items: center; gap: 8px;";
-      
-      this.searchInput = document.createElement("input");
-      this.searchInput.type = "text";
-      this.searchInput.placeholder = "Search here...";
-      this.searchInput.style.flex = "1";
-      this.searchInput.addEventListener("input", (e) => this.handleSearch(e.target.value));
-      
-      const themeToggle = this.createThemeToggle();
-      
-      searchWrapper.appendChild(this.searchInput);
-      searchWrapper.appendChild(themeToggle);
-      searchContainer.appendChild(searchWrapper);
-      this.wrapper.appendChild(searchContainer);
+    if (this.searchable) {
+      const searchContainer = this.document.createElement("div");
+      searchContainer.className = "tree-search";
+      
+      const searchWrapper = this.document.createElement("div");
+      searchWrapper.style.cssText = "display: flex; align-items: center; gap: 8px;";
+      
+      this.searchInput = this.document.createElement("input");
+      this.searchInput.type = "text";
+      this.searchInput.placeholder = "Search here...";
+      this.searchInput.style.flex = "1";
+      if (this.searchTerm) this.searchInput.value = this.searchTerm;
+      
+      this.searchNav = this.createSearchNav();
+      const themeToggle = this.createThemeToggle();
+      
+      searchWrapper.appendChild(this.searchInput);
+      searchWrapper.appendChild(this.searchNav);
+      searchWrapper.appendChild(themeToggle);
+      searchContainer.appendChild(searchWrapper);
+      this.wrapper.appendChild(searchContainer);
+    }
+
+
+    if (this.columns) {
+      this.gridHeader = this.createGridHeader();
+      this.wrapper.appendChild(this.gridHeader);
+      this.applyColumnWidths();
+    }
+
+    this.contentContainer = this.document.createElement("div");
+    this.contentContainer.className = "tree-content";
+    this.wrapper.appendChild(this.contentContainer);
+    
+    const actionsContainer = this.document.createElement("div");
+    actionsContainer.className = "tree-actions";
+    
+    const expandAllBtn = this.document.createElement("button");
+    expandAllBtn.className = "tree-action-btn";
+    expandAllBtn.dataset.action = "expand-all";
+    expandAllBtn.textContent = "Expand All";
+    
+    const collapseAllBtn = this.document.createElement("button");
+    collapseAllBtn.className = "tree-action-btn";
+    collapseAllBtn.dataset.action = "collapse-all";
+    collapseAllBtn.textContent = "Collapse All";
+    
+    const clearSelectionBtn = this.document.createElement("button");
+    clearSelectionBtn.className = "tree-action-btn";
+    clearSelectionBtn.dataset.action = "clear-selection";
+    clearSelectionBtn.textContent = "Clear Selection";
+    
+    actionsContainer.appendChild(expandAllBtn);
+    actionsContainer.appendChild(collapseAllBtn);
+    actionsContainer.appendChild(clearSelectionBtn);
+    this.wrapper.appendChild(actionsContainer);
+
+    if (this.showPagination) {
+      this.createPaginationContainer();
+    }
+
+    this.container.appendChild(this.wrapper);
+    this.bindMainStructure();
+  }
+
+  bindMainStructure() {
+    this.wrapper.addEventListener("keydown", (e) => this.handleShortcutKeys(e));
+
+    if (this.searchInput) {
+      this.searchInput.addEventListener("input", (e) => this.handleSearch(e.target.value));
+      this.searchInput.addEventListener("keydown", (e) => {
+        if (e.key !== 'Enter' || !this.searchTerm) return;
+        
+        e.preventDefault();
+        if (e.shiftKey) {
+          this.previousMatch();
+        } else {
+          this.nextMatch();
+        }
+      });
+    }
+
+    if (this.searchNav) {
+      this.searchNav.querySelector(".tree-search-prev").addEventListener("click", () => this.previousMatch());
+      this.searchNav.querySelector(".tree-search-next").addEventListener("click", () => this.nextMatch());
+    }
+
+    const themeToggle = this.wrapper.querySelector(".theme-toggle-btn");
+    if (themeToggle) {
+      themeToggle.addEventListener("click", () => this.toggleTheme());
+    }
+
+    if (this.gridHeader) {
+      this.bindGridHeader();
+    }
+
+    this.contentContainer.addEventListener("scroll", () => {
+      if (this.gridHeader) this.gridHeader.scrollLeft = this.contentContainer.scrollLeft;
+      this.handleVirtualScroll();
+    });
+    this.contentContainer.addEventListener("dragover", (e) => this.handleDragAutoScroll(e));
+    this.contentContainer.addEventListener("keydown", (e) => this.handleKeyDown(e));
+    this.contentContainer.addEventListener("focusin", (e) => this.handleFocusIn(e));
+    this.contentContainer.addEventListener("contextmenu", (e) => this.handleContextMenu(e));
+
+    const actions = {
+      'expand-all': () => this.expandAllNodes(),
+      'collapse-all': () => this.collapseAllNodes(),
+      'clear-selection': () => this.clearSelection()
+    };
+    this.wrapper.querySelectorAll(".tree-action-btn").forEach(button => {
+      const action = actions[button.dataset.action];
+      if (action) button.addEventListener("click", action);
+    });
+  }
+
+
+  createSearchNav() {
+    const nav = this.document.createElement("div");
+    nav.className = "tree-search-nav";
+    nav.hidden = true;
+
+    const count = this.document.createElement("span");
+    count.className = "tree-search-count";
+    count.setAttribute("aria-live", "polite");
+
+    const prevBtn = this.document.createElement("button");
+    prevBtn.className = "pagination-btn tree-search-prev";
+    prevBtn.innerHTML = "‹";
+    prevBtn.title = "Previous match (Shift+Enter)";
+
+    const nextBtn = this.document.createElement("button");
+    nextBtn.className = "pagination-btn tree-search-next";
+    nextBtn.innerHTML = "›";
+    nextBtn.title = "Next match (Enter)";
+
+    nav.appendChild(count);
+    nav.appendChild(prevBtn);
+    nav.appendChild(nextBtn);
+    return nav;
+  }
+
+  updateSearchNav() {
+    if (!this.searchNav) return;
+
+    const total = this.searchMatches.length;
+    this.searchNav.hidden = !this.searchTerm;
+    this.searchNav.querySelector(".tree-search-count").textContent = this.activeMatchIndex >= 0
+      ? `${this.activeMatchIndex + 1} of ${total}`
+      : `${total} ${total === 1 ? 'match' : 'matches'}`;
+    
+    this.searchNav.querySelectorAll("button").forEach(button => {
+      button.disabled = total === 0;
+    });
+  }
+
+  createGridHeader() {
+    const header = this.document.createElement("div");
+    header.className = "tree-grid-header";
+
+    this.columns.forEach((column, index) => {
+      const cell = this.document.createElement("div");
+      cell.className = "tree-grid-header-cell";
+      cell.style.width = `var(--tree-col-${index})`;
+      cell.dataset.columnIndex = index;
+      
+      const title = this.document.createElement("span");
+      title.textContent = column.title || column.field || '';
+      cell.appendChild(title);
+      
+      const sortIndicator = this.document.createElement("span");
+      sortIndicator.className = "tree-grid-sort";
+      cell.appendChild(sortIndicator);
+
+      if (column.sortable !== false) {
+        cell.classList.add("sortable");
+      }
+
+      if (column.resizable !== false) {
+        const resizer = this.document.createElement("div");
+        resizer.className = "tree-grid-resizer";
+        cell.appendChild(resizer);
+      }
+
+      header.appendChild(cell);
+    });
+
+    return header;
+  }
+
+  bindGridHeader() {
+    this.gridHeader.querySelectorAll(".tree-grid-header-cell").forEach(cell => {
+      const index = Number(cell.dataset.columnIndex);
+      
+      if (cell.classList.contains("sortable")) {
+        cell.addEventListener("click", () => this.sortByColumn(index));
+      }
+
+      const resizer = cell.querySelector(".tree-grid-resizer");
+      if (resizer) {
+        resizer.addEventListener("mousedown", (e) => this.startColumnResize(e, index));
+        resizer.addEventListener("click", (e) => e.stopPropagation());
+      }
+    });
+  }
+
+  updateGridHeader() {
+    if (!this.gridHeader) return;
+
+    this.gridHeader.querySelectorAll(".tree-grid-header-cell").forEach(cell => {
+      const index = Number(cell.dataset.columnIndex);
+      const indicator = cell.querySelector(".tree-grid-sort");
+      const isSorted = !!this.sortConfig && this.sortConfig.columnIndex === index;
+      
+      indicator.textContent = isSorted ? (this.sortConfig.direction === 'desc' ? '▼' : '▲') : '';
+    });
+  }
+
+  applyColumnWidths() {
+    if (!this.wrapper) return;
+
+    this.columnWidths.forEach((width, index) => {
+      this.wrapper.style.setProperty(`--tree-col-${index}`, `${width}px`);
+    });
+  }
+
+  setColumnWidth(index, width) {
+    if (!this.columns || index < 0 || index >= this.columns.length) {
+      console.warn(`Invalid column index: ${index}`);
+      return;
+    }
+
+    this.columnWidths[index] = Math.max(40, width);
+    this.applyColumnWidths();
+  }
+
+  startColumnResize(e, index) {
+    e.preventDefault();
+    e.stopPropagation();
+
+    const startX = e.clientX;
+    const startWidth = this.columnWidths[index];
+
+    const onMove = (moveEvent) => {
+      this.setColumnWidth(index, startWidth + moveEvent.clientX - startX);
+    };
+    const onUp = () => {
+      this.document.removeEventListener("mousemove", onMove);
+      this.document.removeEventListener("mouseup", onUp);
+      this.emit('columnResize', { index, column: this.columns[index], width: this.columnWidths[index] });
+    };
+
+    this.document.addEventListener("mousemove", onMove);
+    this.document.addEventListener("mouseup", onUp);
+  }
+
+  sortByColumn(index, direction) {
+    if (!this.columns || index < 0 || index >= this.columns.length) {
+      console.warn(`Invalid column index: ${index}`);
+      return;
+    }
+
+    if (direction === undefined) {
+      const current = this.sortConfig && this.sortConfig.columnIndex === index ? this.sortConfig.direction : null;
+      direction = current === null ? 'asc' : (current === 'asc' ? 'desc' : null);
+    }
+
+    if (!direction) {
+      this.clearSort();
+      return;
     }
 
+    const column = index === this.treeColumnIndex ? { ...this.columns[index], tree: true } : this.columns[index];
+    this.sortBy((a, b) => this.compareValues(this.getColumnValue(column, a), this.getColumnValue(column, b)), {
+      direction,
+      columnIndex: index
+    });
+  }
 
-    this.contentContainer = document.createElement("div");
-    this.contentContainer.className = "tree-content";
-    this.wrapper.appendChild(this.contentContainer);
-    
-    const actionsContainer = document.createElement("div");
-    actionsContainer.className = "tree-actions";
-    
-    const expandAllBtn = document.createElement("button");
-    expandAllBtn.className = "tree-action-btn";
-    expandAllBtn.textContent = "Expand All";
-    expandAllBtn.addEventListener("click", () => this.expandAllNodes());
-    
-    const collapseAllBtn = document.createElement("button");
-    collapseAllBtn.className = "tree-action-btn";
-    collapseAllBtn.textContent = "Collapse All";
-    collapseAllBtn.addEventListener("click", () => this.collapseAllNodes());
-    
-    const clearSelectionBtn = document.createElement("button");
-    clearSelectionBtn.className = "tree-action-btn";
-    clearSelectionBtn.textContent = "Clear Selection";
-    clearSelectionBtn.addEventListener("click", () => this.clearSelection());
+  appendGridCells(nodeDiv, mainCell, node) {
+    const source = this.internalIdMap.get(node._internalId) || node;
     
-    actionsContainer.appendChild(expandAllBtn);
-    actionsContainer.appendChild(collapseAllBtn);
-    actionsContainer.appendChild(clearSelectionBtn);
-    this.wrapper.appendChild(actionsContainer);
+    this.columns.forEach((column, index) => {
+      if (index === this.treeColumnIndex) {
+        nodeDiv.appendChild(mainCell);
+        return;
+      }
 
-    if (this.showPagination) {
-      this.createPaginationContainer();
-    }
+      const cell = this.document.createElement("div");
+      cell.className = "tree-cell";
+      cell.style.width = `var(--tree-col-${index})`;
+      if (column.align) cell.style.textAlign = column.align;
 
-    this.container.appendChild(this.wrapper);
+      let content;
+      try {
+        content = this.getColumnText(column, source);
+      } catch (error) {
+        console.warn(`Error rendering column '${column.field || index}':`, error);
+        content = '';
+      }
+
+      if (content && typeof content === 'object' && content.nodeType) {
+        cell.appendChild(content);
+      } else {
+        cell.textContent = content === undefined || content === null ? '' : content;
+        cell.title = cell.textContent;
+      }
+      
+      nodeDiv.appendChild(cell);
+    });
   }
 
   createPaginationContainer() {
-    this.paginationContainer = document.createElement("div");
+    this.paginationContainer = this.document.createElement("div");
     this.paginationContainer.className = "tree-pagination";
     this.wrapper.appendChild(this.paginationContainer);
   }
@@ -737,12 +4416,10 @@ class TreeView {
     this.calculatePagination();
     this.paginationContainer.innerHTML = "";
 
-    const paginationInfo = document.createElement("div");
+    const paginationInfo = this.document.createElement("div");
     paginationInfo.className = "pagination-info";
     
-    const startItem = (this.currentPage - 1) * this.pageSize + 1;
-    const endItem = Math.min(this.currentPage * this.pageSize, this.filteredData.length);
-    const totalItems = this.filteredData.length;
+    const { startItem, endItem, totalItems } = this.getCurrentPageInfo();
     
     paginationInfo.innerHTML = `
       <span>Showing ${startItem}-${endItem} of ${totalItems}</span>
@@ -757,27 +4434,22 @@ class TreeView {
       </div>
     `;
 
-    const pageSizeSelect = paginationInfo.querySelector('#page-size-select');
-    pageSizeSelect.addEventListener('change', (e) => {
-      this.setPageSize(parseInt(e.target.value));
-    });
-
-    const paginationControls = document.createElement("div");
+    const paginationControls = this.document.createElement("div");
     paginationControls.className = "pagination-controls";
 
-    const firstBtn = document.createElement("button");
+    const firstBtn = this.document.createElement("button");
     firstBtn.className = "pagination-btn";
+    firstBtn.dataset.page = "first";
     firstBtn.innerHTML = "⇤";
     firstBtn.title = "First page";
     firstBtn.disabled = this.currentPage === 1;
-    firstBtn.addEventListener("click", () => this.firstPage());
 
-    const prevBtn = document.createElement("button");
+    const prevBtn = this.document.createElement("button");
     prevBtn.className = "pagination-btn";
+    prevBtn.dataset.page = "previous";
     prevBtn.innerHTML = "‹";
     prevBtn.title = "Previous page";
     prevBtn.disabled = this.currentPage === 1;
-    prevBtn.addEventListener("click", () => this.previousPage());
 
     const maxVisiblePages = 5;
     let startPage = Math.max(1, this.currentPage - Math.floor(maxVisiblePages / 2));
@@ -788,26 +4460,26 @@ class TreeView {
     }
 
     for (let i = startPage; i <= endPage; i++) {
-      const pageBtn = document.createElement("button");
+      const pageBtn = this.document.createElement("button");
       pageBtn.className = `pagination-btn ${i === this.currentPage ? 'current' : ''}`;
+      pageBtn.dataset.page = i;
       pageBtn.textContent = i;
-      pageBtn.addEventListener("click", () => this.goToPage(i));
       paginationControls.appendChild(pageBtn);
     }
 
-    const nextBtn = document.createElement("button");
+    const nextBtn = this.document.createElement("button");
     nextBtn.className = "pagination-btn";
+    nextBtn.dataset.page = "next";
     nextBtn.innerHTML = "›";
     nextBtn.title = "Next page";
     nextBtn.disabled = this.currentPage === this.totalPages;
-    nextBtn.addEventListener("click", () => this.nextPage());
 
-    const lastBtn = document.createElement("button");
+    const lastBtn = this.document.createElement("button");
     lastBtn.className = "pagination-btn";
+    lastBtn.dataset.page = "last";
     lastBtn.innerHTML = "⇥";
     lastBtn.title = "Last page";
     lastBtn.disabled = this.currentPage === this.totalPages;
-    lastBtn.addEventListener("click", () => this.lastPage());
 
     paginationControls.insertBefore(firstBtn, paginationControls.firstChild);
     paginationControls.insertBefore(prevBtn, paginationControls.children[1]);
@@ -816,640 +4488,1161 @@ class TreeView {
 
     this.paginationContainer.appendChild(paginationInfo);
     this.paginationContainer.appendChild(paginationControls);
+    this.bindPaginationControls();
+  }
+
+  bindPaginationControls() {
+    const pageSizeSelect = this.paginationContainer.querySelector('#page-size-select');
+    if (pageSizeSelect) {
+      pageSizeSelect.addEventListener('change', (e) => {
+        this.setPageSize(parseInt(e.target.value));
+      });
+    }
+
+    const actions = {
+      first: () => this.firstPage(),
+      previous: () => this.previousPage(),
+      next: () => this.nextPage(),
+      last: () => this.lastPage()
+    };
+    this.paginationContainer.querySelectorAll(".pagination-btn[data-page]").forEach(button => {
+      const page = button.dataset.page;
+      button.addEventListener("click", () => actions[page] ? actions[page]() : this.goToPage(Number(page)));
+    });
   }
 
   updateTreeContent() {
+    this.updateSearchMatches();
+
+    if (this.virtualize) {
+      this.renderVirtualTree();
+    } else if (this.paginationMode === 'rows') {
+      this.renderRowPage();
+    } else {
+      const hadFocus = this.contentContainer.contains(this.document.activeElement);
+      this.contentContainer.innerHTML = "";
+      
+      const paginatedNodes = this.getPaginatedData();
+      const treeEl = this.createTree(paginatedNodes);
+      treeEl.className = this.columns ? "enhanced-tree grid" : "enhanced-tree";
+      this.applyTreeAttributes(treeEl);
+      this.contentContainer.appendChild(treeEl);
+      this.ensureTabStop(hadFocus);
+    }
+
+    if (this.showPagination) {
+      this.updatePaginationControls();
+    }
+
+    this.persistState();
+  }
+
+  renderRowPage() {
+    const hadFocus = this.contentContainer.contains(this.document.activeElement);
     this.contentContainer.innerHTML = "";
+
+    this.visibleRows = this.getPageRows();
+    
+    const treeEl = this.document.createElement("ul");
+    treeEl.className = this.columns ? "enhanced-tree rows grid" : "enhanced-tree rows";
+    this.applyTreeAttributes(treeEl);
+    this.visibleRows.forEach(row => treeEl.appendChild(this.createRowElement(row)));
     
-    const paginatedNodes = this.getPaginatedData();
-    const treeEl = this.createTree(paginatedNodes);
-    treeEl.className = "enhanced-tree";
     this.contentContainer.appendChild(treeEl);
+    this.ensureTabStop(hadFocus);
+  }
 
-    if (this.showPagination) {
-      this.updatePaginationControls();
+  createRowElement(row) {
+    const li = this.document.createElement("li");
+    const nodeDiv = this.createNodeElement(row.node, li, row.level);
+    nodeDiv.style.marginLeft = this.columns ? "4px" : `${4 + row.level * 16}px`;
+    
+    if (row.continued) {
+      nodeDiv.classList.add("continued");
     }
+    
+    li.appendChild(nodeDiv);
+    this.applyTreeItemAttributes(li, row.node, row.level, row.posInSet, row.setSize);
+    return li;
   }
 
   createTree(nodes, level = 0) {
-    const ul = document.createElement("ul");
-    if (level > 0) ul.className = "tree-level";
+    const ul = this.document.createElement("ul");
+    if (level > 0) {
+      ul.className = "tree-level";
+      ul.setAttribute("role", "group");
+    }
 
-    nodes.forEach(node => {
-      const li = document.createElement("li");
-      const nodeDiv = document.createElement("div");
-      nodeDiv.className = "tree-node";
-      nodeDiv.dataset.nodeId = node.id || this.generateNodeId(node);
-      nodeDiv.dataset.internalId = node._internalId;
+    nodes.forEach((node, index) => {
+      const li = this.document.createElement("li");
+      const nodeDiv = this.createNodeElement(node, li, level);
+      li.appendChild(nodeDiv);
+      this.applyTreeItemAttributes(li, node, level, index + 1, nodes.length);
 
       if (node.children && node.children.length > 0) {
-        const toggle = document.createElement("div");
-        toggle.className = "tree-toggle";
+        const childrenContainer = this.document.createElement("div");
+        childrenContainer.setAttribute("role", "none");
+        childrenContainer.className = this.expandedNodes.has(nodeDiv.dataset.nodeId) 
+          ? "tree-children expanded" 
+          : "tree-children collapsed";
+        
+        const childUl = this.createTree(node.children, level + 1);
+        childrenContainer.appendChild(childUl);
+        li.appendChild(childrenContainer);
+      }
+
+      ul.appendChild(li);
+    });
+
+    return ul;
+  }
+
+  applyTreeAttributes(treeEl) {
+    treeEl.setAttribute("role", "tree");
+    
+    if (this.multiSelect || this.showCheckboxes) {
+      treeEl.setAttribute("aria-multiselectable", "true");
+    }
+  }
+
+  applyTreeItemAttributes(li, node, level, posInSet, setSize) {
+    const nodeId = this.getNodeId(node);
+    
+    li.setAttribute("role", "treeitem");
+    li.setAttribute("aria-level", level + 1);
+    li.setAttribute("aria-posinset", posInSet);
+    li.setAttribute("aria-setsize", setSize);
+    li.setAttribute("aria-label", node[this.displayField]);
+    li.dataset.nodeId = nodeId;
+    li.tabIndex = nodeId === this.focusedNodeId ? 0 : -1;
+    
+    this.syncTreeItemState(li, node);
+  }
+
+  syncTreeItemState(li, node) {
+    const nodeId = this.getNodeId(node);
+    
+    if (this.nodeHasChildren(node)) {
+      const isExpanded = this.expandedNodes.has(nodeId) && !this.needsChildrenLoad(node);
+      li.setAttribute("aria-expanded", String(isExpanded));
+    } else {
+      li.removeAttribute("aria-expanded");
+    }
+
+    if (this.showCheckboxes) {
+      li.setAttribute("aria-checked", this.getCheckState(nodeId));
+    } else {
+      li.setAttribute("aria-selected", String(this.selectedNodes.has(nodeId)));
+    }
+
+    if (this.loadingNodes.has(nodeId)) {
+      li.setAttribute("aria-busy", "true");
+    } else {
+      li.removeAttribute("aria-busy");
+    }
+  }
+
+  createNodeElement(node, li, level = 0) {
+    const nodeDiv = this.document.createElement("div");
+    nodeDiv.className = "tree-node";
+    nodeDiv.dataset.nodeId = this.getNodeId(node);
+    nodeDiv.dataset.internalId = node._internalId;
+    nodeDiv.dataset.level = level;
+
+    if (!this.showCheckboxes && this.selectedNodes.has(nodeDiv.dataset.nodeId)) {
+      nodeDiv.classList.add("selected");
+    }
+
+    if (this.clipboard && this.clipboard.mode === 'cut' && this.clipboard.internalIds.includes(node._internalId)) {
+      nodeDiv.classList.add("cut");
+    }
+
+    const activeMatch = this.searchMatches[this.activeMatchIndex];
+    if (activeMatch && activeMatch.internalId === node._internalId) {
+      nodeDiv.classList.add("active-match");
+    }
+
+    if (this.searchTerm && this.searchMode === 'highlight' && !this.nodeMatchesQuery(node, this.parseSearchQuery(this.searchTerm))) {
+      nodeDiv.classList.add("search-dimmed");
+    }
+
+    const rowContent = this.columns ? this.document.createElement("div") : nodeDiv;
+    if (this.columns) {
+      nodeDiv.classList.add("tree-grid-row");
+      rowContent.className = "tree-cell tree-cell-main";
+      rowContent.style.width = `var(--tree-col-${this.treeColumnIndex})`;
+      rowContent.style.paddingLeft = `${level * 16}px`;
+    }
+
+    if (this.nodeHasChildren(node)) {
+      const toggle = this.document.createElement("div");
+      toggle.className = "tree-toggle";
+      toggle.setAttribute("aria-hidden", "true");
+      
+      if (this.loadingNodes.has(nodeDiv.dataset.nodeId)) {
+        toggle.classList.add("loading");
+        toggle.innerHTML = `<span class="tree-spinner"></span>`;
+      } else {
         toggle.innerHTML = `
           <svg viewBox="0 0 24 24" fill="currentColor">
             <path d="M8.59 16.59L13.17 12 8.59 7.41 10 6l6 6-6 6-1.41-1.41z"/>
           </svg>
         `;
-        
-        const isExpanded = this.expandedNodes.has(nodeDiv.dataset.nodeId);
-        if (isExpanded) toggle.classList.add("expanded");
-        
-        toggle.addEventListener("click", (e) => {
-          e.stopPropagation();
-          this.toggleNode(nodeDiv.dataset.nodeId, toggle, li);
-        });
-        
-        nodeDiv.appendChild(toggle);
-      } else {
-        const spacer = document.createElement("div");
-        spacer.style.width = "28px";
-        nodeDiv.appendChild(spacer);
       }
+      
+      if (this.loadErrors.has(nodeDiv.dataset.nodeId)) {
+        toggle.classList.add("error");
+      }
+      
+      const isExpanded = this.expandedNodes.has(nodeDiv.dataset.nodeId) && !this.needsChildrenLoad(node);
+      if (isExpanded) toggle.classList.add("expanded");
+      
+      rowContent.appendChild(toggle);
+    } else {
+      const spacer = this.document.createElement("div");
+      spacer.style.width = "28px";
+      rowContent.appendChild(spacer);
+    }
 
-      if (this.showCheckboxes) {
-        const checkbox = document.createElement("div");
-        checkbox.className = "tree-checkbox";
-        
-        if (this.selectedNodes.has(nodeDiv.dataset.nodeId)) {
-          checkbox.classList.add("checked");
-          checkbox.innerHTML = `
-            <svg viewBox="0 0 24 24" fill="currentColor">
-              <path d="M9 16.17L4.83 12l-1.42 1.41L9 19 21 7l-1.41-1.41z"/>
-            </svg>
-          `;
-        }
-        
-        checkbox.addEventListener("click", (e) => {
-          e.stopPropagation();
-          this.toggleSelection(nodeDiv.dataset.nodeId, checkbox, node);
-        });
-        
-        nodeDiv.appendChild(checkbox);
+    if (this.showCheckboxes) {
+      const checkbox = this.document.createElement("div");
+      checkbox.className = "tree-checkbox";
+      checkbox.setAttribute("aria-hidden", "true");
+      
+      this.renderCheckboxState(checkbox, nodeDiv.dataset.nodeId);
+      rowContent.appendChild(checkbox);
+    }
+
+    const label = this.document.createElement("div");
+    label.className = "tree-label";
+    this.renderLabelContent(label, node, level);
+    rowContent.appendChild(label);
+
+    if (this.loadErrors.has(nodeDiv.dataset.nodeId)) {
+      const error = this.loadErrors.get(nodeDiv.dataset.nodeId);
+      const retryBtn = this.document.createElement("button");
+      retryBtn.className = "tree-retry";
+      retryBtn.textContent = "Retry";
+      retryBtn.title = error && error.message ? error.message : "Failed to load children";
+      rowContent.appendChild(retryBtn);
+    }
+
+    if (this.columns) {
+      this.appendGridCells(nodeDiv, rowContent, node);
+    }
+
+    this.bindNodeElement(nodeDiv, li, node);
+    return nodeDiv;
+  }
+
+  bindNodeElement(nodeDiv, li, node) {
+    const toggle = nodeDiv.querySelector(".tree-toggle");
+    if (toggle) {
+      toggle.addEventListener("click", (e) => {
+        e.stopPropagation();
+        this.toggleNode(nodeDiv.dataset.nodeId, toggle, li);
+      });
+    }
+
+    const checkbox = nodeDiv.querySelector(".tree-checkbox");
+    if (checkbox) {
+      checkbox.addEventListener("click", (e) => {
+        e.stopPropagation();
+        this.toggleSelection(nodeDiv.dataset.nodeId);
+      });
+    }
+
+    const label = nodeDiv.querySelector(".tree-label");
+    if (this.editable && label) {
+      label.addEventListener("dblclick", (e) => {
+        e.stopPropagation();
+        this.startEditing(nodeDiv.dataset.internalId);
+      });
+    }
+
+    const retryBtn = nodeDiv.querySelector(".tree-retry");
+    if (retryBtn) {
+      retryBtn.addEventListener("click", (e) => {
+        e.stopPropagation();
+        this.model.loadNodeChildren(nodeDiv.dataset.nodeId);
+      });
+    }
+
+    nodeDiv.addEventListener("click", () => {
+      if (!this.showCheckboxes) {
+        this.selectNode(nodeDiv.dataset.nodeId, nodeDiv);
       }
+      this.onNodeClick(node);
+      this.emit('click', this.createNodeEventPayload(node));
+    });
+
+    if (this.draggable) {
+      this.attachDragHandlers(nodeDiv, li);
+    }
+  }
+
+  getNavigableRows() {
+    return this.virtualize || this.paginationMode === 'rows' ? this.visibleRows : this.getPageRows();
+  }
+
+  findTreeItem(nodeId) {
+    const items = this.contentContainer.querySelectorAll('[role="treeitem"]');
+    return Array.from(items).find(item => item.dataset.nodeId === String(nodeId)) || null;
+  }
+
+  ensureTabStop(restoreFocus) {
+    let item = this.focusedNodeId ? this.findTreeItem(this.focusedNodeId) : null;
+    
+    if (!item) {
+      if (this.contentContainer.querySelector('[role="treeitem"][tabindex="0"]')) return;
+      item = this.contentContainer.querySelector('[role="treeitem"]');
+    }
+    if (!item) return;
+
+    item.tabIndex = 0;
+    if (restoreFocus) item.focus();
+  }
+
+  focusRow(nodeId) {
+    nodeId = String(nodeId);
+    let item = this.findTreeItem(nodeId);
+
+    if (!item && this.virtualize) {
+      const index = this.visibleRows.findIndex(row => row.nodeId === nodeId);
+      if (index === -1) return false;
+      
+      this.scrollRowIntoView(index);
+      this.renderVirtualRows();
+      item = this.findTreeItem(nodeId);
+    }
+    if (!item) return false;
+
+    this.contentContainer.querySelectorAll('[role="treeitem"][tabindex="0"]').forEach(el => {
+      el.tabIndex = -1;
+    });
+    
+    this.focusedNodeId = nodeId;
+    item.tabIndex = 0;
+    item.focus();
+    return true;
+  }
+
+  scrollRowIntoView(index) {
+    const top = index * this.rowHeight;
+    const viewportHeight = this.contentContainer.clientHeight || 400;
+    
+    if (top < this.contentContainer.scrollTop) {
+      this.contentContainer.scrollTop = top;
+    } else if (top + this.rowHeight > this.contentContainer.scrollTop + viewportHeight) {
+      this.contentContainer.scrollTop = top + this.rowHeight - viewportHeight;
+    }
+  }
+
+  handleFocusIn(e) {
+    const item = e.target.closest('[role="treeitem"]');
+    if (!item || item.dataset.nodeId === this.focusedNodeId) return;
+
+    this.contentContainer.querySelectorAll('[role="treeitem"][tabindex="0"]').forEach(el => {
+      el.tabIndex = -1;
+    });
+    
+    this.focusedNodeId = item.dataset.nodeId;
+    item.tabIndex = 0;
+  }
+
+  handleKeyDown(e) {
+    const item = e.target.closest('[role="treeitem"]');
+    if (!item || e.target !== item) return;
+
+    const rows = this.getNavigableRows();
+    const index = rows.findIndex(row => row.nodeId === item.dataset.nodeId);
+    if (index === -1) return;
 
-      const label = document.createElement("div");
-      label.className = "tree-label";
-      label.textContent = node[this.displayField];
-      nodeDiv.appendChild(label);
+    const row = rows[index];
+    const nodeDiv = item.firstElementChild;
+    const isExpanded = this.expandedNodes.has(row.nodeId) && row.node.children && row.node.children.length > 0;
+    let handled = true;
 
-      nodeDiv.addEventListener("click", () => {
-        if (!this.showCheckboxes) {
-          this.selectNode(nodeDiv.dataset.nodeId, nodeDiv, node);
+    switch (e.key) {
+      case 'ArrowDown':
+        if (index < rows.length - 1) this.focusRow(rows[index + 1].nodeId);
+        break;
+      case 'ArrowUp':
+        if (index > 0) this.focusRow(rows[index - 1].nodeId);
+        break;
+      case 'Home':
+        this.focusRow(rows[0].nodeId);
+        break;
+      case 'End':
+        this.focusRow(rows[rows.length - 1].nodeId);
+        break;
+      case 'ArrowRight':
+        if (!this.nodeHasChildren(row.node)) break;
+        if (!isExpanded) {
+          this.toggleNodeFromKeyboard(row.nodeId, item);
+        } else if (rows[index + 1] && rows[index + 1].level > row.level) {
+          this.focusRow(rows[index + 1].nodeId);
         }
-        this.onNodeClick(node);
-      });
+        break;
+      case 'ArrowLeft':
+        if (isExpanded) {
+          this.toggleNodeFromKeyboard(row.nodeId, item);
+        } else {
+          for (let i = index - 1; i >= 0; i--) {
+            if (rows[i].level < row.level) {
+              this.focusRow(rows[i].nodeId);
+              break;
+            }
+          }
+        }
+        break;
+      case 'Enter':
+        nodeDiv.click();
+        break;
+      case ' ':
+        if (this.typeAheadBuffer) {
+          this.handleTypeAhead(e.key, rows, index);
+        } else if (this.showCheckboxes) {
+          const checkbox = nodeDiv.querySelector(".tree-checkbox");
+          if (checkbox) checkbox.click();
+        } else {
+          nodeDiv.click();
+        }
+        break;
+      case '*':
+        this.expandSiblings(row);
+        break;
+      case 'F3':
+        handled = e.shiftKey ? this.previousMatch() : this.nextMatch();
+        break;
+      case 'F2':
+        handled = this.startEditing(nodeDiv.dataset.internalId);
+        break;
+      case 'F10':
+        handled = e.shiftKey && this.openContextMenuForRow(nodeDiv);
+        break;
+      case 'ContextMenu':
+        handled = this.openContextMenuForRow(nodeDiv);
+        break;
+      default:
+        if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
+          this.handleTypeAhead(e.key, rows, index);
+        } else {
+          handled = false;
+        }
+    }
 
-      li.appendChild(nodeDiv);
+    if (handled) {
+      e.preventDefault();
+    }
+  }
 
-      if (node.children && node.children.length > 0) {
-        const childrenContainer = document.createElement("div");
-        childrenContainer.className = this.expandedNodes.has(nodeDiv.dataset.nodeId) 
-          ? "tree-children expanded" 
-          : "tree-children collapsed";
-        
-        const childUl = this.createTree(node.children, level + 1);
-        childrenContainer.appendChild(childUl);
-        li.appendChild(childrenContainer);
+  toggleNodeFromKeyboard(nodeId, item) {
+    const toggle = item.firstElementChild.querySelector(".tree-toggle");
+    if (!toggle) return;
+
+    this.toggleNode(nodeId, toggle, item);
+    this.focusRow(nodeId);
+  }
+
+  expandSiblings(row) {
+    const node = this.nodeDataMap.get(row.nodeId) || row.node;
+    const parentNode = this.findParentNode(node);
+    const siblings = parentNode ? parentNode.children : this.data;
+    let changed = false;
+
+    this.withoutRender(() => siblings.forEach(sibling => {
+      const siblingId = this.getNodeId(sibling);
+      if (sibling.children && sibling.children.length > 0 && !this.expandedNodes.has(siblingId)) {
+        changed = this.model.setExpanded(siblingId, true) || changed;
+      }
+    }));
+
+    if (changed) {
+      this.updateTreeContent();
+    }
+    
+    this.focusRow(row.nodeId);
+  }
+
+  handleTypeAhead(char, rows, index) {
+    clearTimeout(this.typeAheadTimer);
+    this.typeAheadBuffer += char.toLowerCase();
+    this.typeAheadTimer = setTimeout(() => {
+      this.typeAheadBuffer = '';
+    }, 500);
+
+    const offset = this.typeAheadBuffer.length === 1 ? 1 : 0;
+    
+    for (let i = 0; i < rows.length; i++) {
+      const row = rows[(index + offset + i) % rows.length];
+      const label = String(row.node[this.displayField] || '').toLowerCase();
+      
+      if (label.startsWith(this.typeAheadBuffer)) {
+        this.focusRow(row.nodeId);
+        return;
       }
+    }
+  }
+
+  startEditing(internalId) {
+    if (!this.editable) return false;
+
+    const node = this.internalIdMap.get(internalId);
+    if (!node) {
+      console.warn(`Cannot edit: Node with internal ID '${internalId}' not found`);
+      return false;
+    }
+
+    const nodeDiv = this.contentContainer.querySelector(`.tree-node[data-internal-id="${internalId}"]`);
+    const label = nodeDiv ? nodeDiv.querySelector(".tree-label") : null;
+    if (!label) return false;
+
+    if (this.editingState) {
+      this.cancelEdit();
+    }
+
+    const originalValue = node[this.displayField];
+    
+    const input = this.document.createElement("input");
+    input.type = "text";
+    input.className = "tree-edit-input";
+    input.value = originalValue === undefined || originalValue === null ? '' : String(originalValue);
+    
+    const message = this.document.createElement("div");
+    message.className = "tree-edit-error";
+    
+    label.textContent = "";
+    label.appendChild(input);
+    label.appendChild(message);
+    nodeDiv.draggable = false;
 
-      ul.appendChild(li);
+    const state = { internalId, node, nodeDiv, label, input, message, originalValue };
+    this.editingState = state;
+
+    input.addEventListener("keydown", (e) => {
+      e.stopPropagation();
+      
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.commitEdit();
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        this.cancelEdit();
+      }
+    });
+    input.addEventListener("input", () => {
+      message.textContent = "";
+      input.classList.remove("invalid");
+    });
+    input.addEventListener("click", (e) => e.stopPropagation());
+    input.addEventListener("dblclick", (e) => e.stopPropagation());
+    input.addEventListener("blur", () => {
+      if (this.editingState === state) {
+        this.commitEdit();
+      }
     });
 
-    return ul;
+    input.focus();
+    input.select();
+    return true;
   }
 
-  toggleNode(nodeId, toggle, li) {
-    const childrenContainer = li.querySelector(".tree-children");
-    const isExpanded = this.expandedNodes.has(nodeId);
+  commitEdit() {
+    const state = this.editingState;
+    if (!state) return false;
+
+    const newValue = state.input.value.trim();
+    const oldValue = state.originalValue === undefined || state.originalValue === null ? '' : String(state.originalValue);
     
-    if (isExpanded) {
-      this.expandedNodes.delete(nodeId);
-      toggle.classList.remove("expanded");
-      childrenContainer.classList.remove("expanded");
-      childrenContainer.classList.add("collapsed");
-      this.onNodeCollapse(nodeId);
-    } else {
-      this.expandedNodes.add(nodeId);
-      toggle.classList.add("expanded");
-      childrenContainer.classList.remove("collapsed");
-      childrenContainer.classList.add("expanded");
-      this.onNodeExpand(nodeId);
+    if (newValue === oldValue) {
+      this.cancelEdit();
+      return true;
     }
-  }
 
-  selectNode(nodeId, nodeDiv, node) {
-    if (!this.multiSelect) {
-      document.querySelectorAll(".tree-node.selected").forEach(el => {
-        el.classList.remove("selected");
-      });
-      this.selectedNodes.clear();
+    const error = this.getEditError(state.node, newValue);
+    if (error) {
+      state.message.textContent = error;
+      state.input.classList.add("invalid");
+      return false;
     }
-    
-    nodeDiv.classList.add("selected");
-    this.selectedNodes.add(nodeId);
-    this.onNodeSelect(node);
-  }
 
-  toggleSelection(nodeId, checkbox, node) {
-    const wasSelected = this.selectedNodes.has(nodeId);
+    this.editingState = null;
     
-    if (wasSelected) {
-      this.deselectNodeAndChildren(node, nodeId);
-      checkbox.classList.remove("checked");
-      checkbox.innerHTML = "";
-    } else {
-      this.selectNodeAndChildren(node, nodeId);
-      checkbox.classList.add("checked");
-      checkbox.innerHTML = `
-        <svg viewBox="0 0 24 24" fill="currentColor">
-          <path d="M9 16.17L4.83 12l-1.42 1.41L9 19 21 7l-1.41-1.41z"/>
-        </svg>
-      `;
+    const nodeId = this.getNodeId(state.node);
+    const updated = this.updateNodeByInternalId(state.internalId, { [this.displayField]: newValue });
+    
+    if (updated) {
+      this.onNodeRename(state.node, newValue, state.originalValue);
+      this.emit('rename', this.createNodeEventPayload(state.node, {
+        value: newValue,
+        previousValue: state.originalValue
+      }));
     }
     
-    this.updateParentCheckboxes();
-    this.onNodeSelect(node);
+    this.focusRow(nodeId);
+    return updated;
   }
 
-  selectNodeAndChildren(node, nodeId) {
-    this.selectedNodes.add(nodeId);
+  cancelEdit() {
+    const state = this.editingState;
+    if (!state) return;
+
+    this.editingState = null;
+    this.renderLabelContent(state.label, state.node, Number(state.nodeDiv.dataset.level) || 0);
+    state.nodeDiv.draggable = this.draggable;
     
-    if (node.children && node.children.length > 0) {
-      node.children.forEach(child => {
-        const childNodeId = child.id || this.generateNodeId(child);
-        this.selectNodeAndChildren(child, childNodeId);
-      });
-    }
+    this.focusRow(state.nodeDiv.dataset.nodeId);
   }
 
-  deselectNodeAndChildren(node, nodeId) {
-    this.selectedNodes.delete(nodeId);
-    
-    if (node.children && node.children.length > 0) {
-      node.children.forEach(child => {
-        const childNodeId = child.id || this.generateNodeId(child);
-        this.deselectNodeAndChildren(child, childNodeId);
-      });
+  getEditError(node, value) {
+    if (!value) {
+      return 'Name cannot be empty';
+    }
+    if (typeof this.validateEdit !== 'function') {
+      return null;
     }
-  }
 
-  updateParentCheckboxes() {
-    setTimeout(() => this.updateCheckboxStates(), 10);
+    try {
+      const result = this.validateEdit(node, value);
+      if (result === false) return 'Invalid value';
+      if (typeof result === 'string') return result;
+      return null;
+    } catch (error) {
+      return error && error.message ? error.message : 'Invalid value';
+    }
   }
 
-  updateCheckboxStates() {
-    const checkboxes = document.querySelectorAll('.tree-checkbox');
-    checkboxes.forEach(checkbox => {
-      const nodeDiv = checkbox.closest('.tree-node');
-      const nodeId = nodeDiv.dataset.nodeId;
-      const isSelected = this.selectedNodes.has(nodeId);
+  attachDragHandlers(nodeDiv, li) {
+    nodeDiv.draggable = true;
+
+    nodeDiv.addEventListener("dragstart", (e) => {
+      const source = this.internalIdMap.get(nodeDiv.dataset.internalId);
+      if (!source) return;
+
+      this.dragState = { source, position: null, target: null };
+      nodeDiv.classList.add("dragging");
       
-      if (isSelected) {
-        checkbox.classList.add("checked");
-        checkbox.innerHTML = `
-          <svg viewBox="0 0 24 24" fill="currentColor">
-            <path d="M9 16.17L4.83 12l-1.42 1.41L9 19 21 7l-1.41-1.41z"/>
-          </svg>
-        `;
-      } else {
-        checkbox.classList.remove("checked");
-        checkbox.innerHTML = "";
+      if (e.dataTransfer) {
+        e.dataTransfer.effectAllowed = "move";
+        e.dataTransfer.setData("text/plain", nodeDiv.dataset.internalId);
       }
     });
-  }
 
-  generateNodeId(node) {
-    return node.id || `node_${JSON.stringify(node).replace(/[^a-zA-Z0-9]/g, '').substring(0, 10)}`;
-  }
+    nodeDiv.addEventListener("dragover", (e) => {
+      if (!this.dragState) return;
 
-  handleSearch(term) {
-    this.searchTerm = term.toLowerCase();
-    this.filteredData = this.filterNodes(this.data, this.searchTerm);
-    this.currentPage = 1; 
-    
-    if (this.searchTerm) {
-      this.autoExpandSearchResults();
-    }
-    
-    this.updateTreeContent();
-  }
+      const target = this.internalIdMap.get(nodeDiv.dataset.internalId);
+      const position = this.getDropPosition(e, nodeDiv);
+      
+      this.clearDropIndicators();
+      
+      if (!target || !this.isValidDrop(this.dragState.source, target, position)) {
+        this.dragState.target = null;
+        this.dragState.position = null;
+        this.cancelDragExpand();
+        return;
+      }
 
-  autoExpandSearchResults() {
-    const collectNodeIds = (nodes) => {
-        let ids = [];
-        nodes.forEach(node => {
-        const nodeId = node.id || this.generateNodeId(node);
-        ids.push(nodeId);
-        if (node.children && node.children.length > 0) {
-            ids = ids.concat(collectNodeIds(node.children));
+      e.preventDefault();
+      if (e.dataTransfer) e.dataTransfer.dropEffect = "move";
+      
+      nodeDiv.classList.add(`drop-${position}`);
+      
+      if (this.dragState.target !== target || this.dragState.position !== position) {
+        this.dragState.target = target;
+        this.dragState.position = position;
+        this.cancelDragExpand();
+        
+        if (position === 'inside') {
+          this.scheduleDragExpand(nodeDiv, li);
         }
-        });
-        return ids;
-    };
-    
-    const searchResultIds = collectNodeIds(this.filteredData);
-    searchResultIds.forEach(id => this.expandedNodes.add(id));
-  }
+      }
+    });
 
-  filterNodes(nodes, searchTerm) {
-    if (!searchTerm) return nodes;
-    
-    const filtered = [];
-    
-    nodes.forEach(node => {
-      const nodeMatches = node[this.displayField].toLowerCase().includes(searchTerm);
-      let filteredChildren = [];
-      
-      if (node.children && node.children.length > 0) {
-        filteredChildren = this.filterNodes(node.children, searchTerm);
+    nodeDiv.addEventListener("dragleave", (e) => {
+      if (!nodeDiv.contains(e.relatedTarget)) {
+        nodeDiv.classList.remove("drop-before", "drop-inside", "drop-after");
       }
+    });
+
+    nodeDiv.addEventListener("drop", (e) => {
+      if (!this.dragState || !this.dragState.target) return;
       
-      if (nodeMatches || filteredChildren.length > 0) {
-        filtered.push({
-          ...node,
-          children: filteredChildren
-        });
-      }
+      e.preventDefault();
+      e.stopPropagation();
+      
+      const { source, target, position } = this.dragState;
+      this.endDrag();
+      this.performDrop(source, target, position);
     });
-    
-    return filtered;
-  }
 
-  expandAllNodes() {
-    const collectNodeIds = (nodes) => {
-      let ids = [];
-      nodes.forEach(node => {
-        const nodeId = node.id || this.generateNodeId(node);
-        ids.push(nodeId);
-        if (node.children) {
-          ids = ids.concat(collectNodeIds(node.children));
-        }
-      });
-      return ids;
-    };
-    
-    const allIds = collectNodeIds(this.getPaginatedData());
-    allIds.forEach(id => this.expandedNodes.add(id));
-    this.updateTreeContent();
+    nodeDiv.addEventListener("dragend", () => this.endDrag());
   }
 
-  collapseAllNodes() {
-    this.expandedNodes.clear();
-    this.updateTreeContent();
-  }
+  getDropPosition(e, nodeDiv) {
+    const rect = nodeDiv.getBoundingClientRect();
+    const offset = e.clientY - rect.top;
+    const edge = rect.height / 4;
 
-  clearSelection() {
-    this.selectedNodes.clear();
-    this.updateTreeContent();
+    if (offset < edge) return 'before';
+    if (offset > rect.height - edge) return 'after';
+    return 'inside';
   }
 
-  getSelectedNodes() {
-    return Array.from(this.selectedNodes);
+  isValidDrop(source, target, position) {
+    if (!target || !this.canMoveNode(source, target, position)) return false;
+
+    if (typeof this.canDrop === 'function') {
+      try {
+        return this.canDrop(source, target, position) !== false;
+      } catch (error) {
+        console.warn('Error in canDrop callback:', error);
+        return false;
+      }
+    }
+
+    return true;
   }
 
-  getCheckedItemsData() {
-    const checkedData = [];
+  scheduleDragExpand(nodeDiv, li) {
+    const nodeId = nodeDiv.dataset.nodeId;
+    const target = this.dragState.target;
     
-    this.selectedNodes.forEach(nodeId => {
-      const nodeData = this.nodeDataMap.get(nodeId);
-      if (nodeData) {
-        checkedData.push(nodeData);
+    if (!this.nodeHasChildren(target) || (this.expandedNodes.has(nodeId) && !this.needsChildrenLoad(target))) {
+      return;
+    }
+
+    this.dragExpandTimer = setTimeout(() => {
+      this.dragExpandTimer = null;
+      const toggle = nodeDiv.querySelector(".tree-toggle");
+      if (toggle && this.dragState) {
+        this.toggleNode(nodeId, toggle, li);
       }
-    });
-    
-    return checkedData;
+    }, 600);
   }
 
-  getCheckedItemsWithDetails() {
-    const checkedItems = [];
+  cancelDragExpand() {
+    if (this.dragExpandTimer) {
+      clearTimeout(this.dragExpandTimer);
+      this.dragExpandTimer = null;
+    }
+  }
+
+  clearDropIndicators() {
+    if (!this.contentContainer) return;
     
-    this.selectedNodes.forEach(nodeId => {
-      const nodeData = this.nodeDataMap.get(nodeId);
-      if (nodeData) {
-        checkedItems.push({
-          id: nodeId,
-          data: nodeData,
-          displayValue: nodeData[this.displayField],
-          hasChildren: nodeData.children && nodeData.children.length > 0,
-          level: this.getNodeLevel(nodeData)
-        });
-      }
+    this.contentContainer.querySelectorAll(".drop-before, .drop-inside, .drop-after").forEach(el => {
+      el.classList.remove("drop-before", "drop-inside", "drop-after");
     });
-    
-    return checkedItems;
   }
 
-  getNodeLevel(targetNode) {
-    const findLevel = (nodes, target, currentLevel = 0) => {
-      for (const node of nodes) {
-        if (node === target) {
-          return currentLevel;
-        }
-        if (node.children && node.children.length > 0) {
-          const level = findLevel(node.children, target, currentLevel + 1);
-          if (level !== -1) return level;
-        }
-      }
-      return -1;
-    };
+  endDrag() {
+    this.cancelDragExpand();
+    this.clearDropIndicators();
+    this.dragState = null;
     
-    return findLevel(this.data, targetNode);
+    if (this.contentContainer) {
+      this.contentContainer.querySelectorAll(".tree-node.dragging").forEach(el => {
+        el.classList.remove("dragging");
+      });
+    }
   }
 
-  getNodeByInternalId(internalId) {
-    if (!internalId) {
-      console.warn('Internal ID is required');
-      return null;
+  handleDragAutoScroll(e) {
+    if (!this.dragState) return;
+
+    const rect = this.contentContainer.getBoundingClientRect();
+    const edge = 40;
+    const step = 12;
+
+    if (e.clientY < rect.top + edge) {
+      this.contentContainer.scrollTop -= step;
+    } else if (e.clientY > rect.bottom - edge) {
+      this.contentContainer.scrollTop += step;
     }
+  }
+
+  getRenderContext(node, level) {
+    const nodeId = this.getNodeId(node);
+    return {
+      level,
+      nodeId,
+      internalId: node._internalId,
+      hasChildren: this.nodeHasChildren(node),
+      expanded: this.expandedNodes.has(nodeId) && !this.needsChildrenLoad(node),
+      selected: this.selectedNodes.has(nodeId),
+      checked: this.showCheckboxes && this.selectedNodes.has(nodeId),
+      indeterminate: this.showCheckboxes && this.indeterminateNodes.has(nodeId),
+      loading: this.loadingNodes.has(nodeId),
+      searchTerm: this.searchTerm,
+      matched: !!this.searchTerm && this.nodeMatchesQuery(node, this.parseSearchQuery(this.searchTerm)),
+      matchRanges: this.searchTerm ? this.getMatchRanges(node[this.displayField], this.parseSearchQuery(this.searchTerm)) : [],
+      tree: this
+    };
+  }
+
+  renderLabelContent(label, node, level) {
+    const source = this.internalIdMap.get(node._internalId) || node;
+    this.renderHighlightedText(label, source[this.displayField]);
     
-    const node = this.internalIdMap.get(internalId);
-    
-    if (!node) {
-      console.warn(`Node with internal ID '${internalId}' not found`);
-      return null;
+    if (typeof this.renderNode !== 'function') return;
+
+    let content;
+    try {
+      content = this.renderNode(source, this.getRenderContext(source, level));
+    } catch (error) {
+      console.warn('Error in renderNode callback:', error);
+      return;
     }
-    
-    return node;
-  }
 
-  getNodesByInternalIds(internalIds) {
-    if (!Array.isArray(internalIds)) {
-      console.warn('Internal IDs must be an array');
-      return [];
+    if (content === null || content === undefined) return;
+
+    if (typeof content === 'object' && content.nodeType) {
+      label.textContent = "";
+      label.appendChild(content);
+    } else {
+      label.innerHTML = String(content);
     }
+  }
+
+  renderHighlightedText(element, value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    const ranges = this.searchTerm ? this.getMatchRanges(text, this.parseSearchQuery(this.searchTerm)) : [];
     
-    const results = [];
-    const notFound = [];
-    
-    internalIds.forEach(internalId => {
-      const node = this.internalIdMap.get(internalId);
-      if (node) {
-        results.push({
-          internalId: internalId,
-          node: node
-        });
-      } else {
-        notFound.push(internalId);
+    element.textContent = ranges.length === 0 ? text : "";
+    if (ranges.length === 0) return;
+
+    let position = 0;
+    ranges.forEach(([start, end]) => {
+      if (start > position) {
+        element.appendChild(this.document.createTextNode(text.slice(position, start)));
       }
+      
+      const mark = this.document.createElement("mark");
+      mark.className = "tree-highlight";
+      mark.textContent = text.slice(start, end);
+      element.appendChild(mark);
+      
+      position = end;
     });
     
-    if (notFound.length > 0) {
-      console.warn(`Nodes not found for internal IDs: ${notFound.join(', ')}`);
-    }
-    
-    return results;
+    if (position < text.length) {
+      element.appendChild(this.document.createTextNode(text.slice(position)));
+    }
   }
 
-  hasInternalId(internalId) {
-    return this.internalIdMap.has(internalId);
-  }
+  updateRenderedLabels() {
+    if (typeof this.renderNode !== 'function' || !this.contentContainer) return;
 
-  getValidInternalIds() {
-    return Array.from(this.internalIdMap.keys());
+    this.contentContainer.querySelectorAll(".tree-node").forEach(nodeDiv => {
+      if (this.editingState && this.editingState.nodeDiv === nodeDiv) return;
+
+      const node = this.internalIdMap.get(nodeDiv.dataset.internalId);
+      const label = nodeDiv.querySelector(".tree-label");
+      if (node && label) {
+        this.renderLabelContent(label, node, Number(nodeDiv.dataset.level) || 0);
+      }
+    });
   }
 
-  getInternalId(node) {
-    if (!node) {
-      console.warn('Node is required');
-      return null;
-    }
+  renderVirtualTree() {
+    const hadFocus = this.contentContainer.contains(this.document.activeElement);
+    const scrollTop = this.contentContainer.scrollTop;
+    this.contentContainer.innerHTML = "";
+
+    this.visibleRows = this.getPageRows();
     
-    const internalId = this.nodeToInternalIdMap.get(node);
+    const treeEl = this.document.createElement("div");
+    treeEl.className = this.columns ? "enhanced-tree virtual grid" : "enhanced-tree virtual";
+    treeEl.style.height = `${this.visibleRows.length * this.rowHeight}px`;
+    this.applyTreeAttributes(treeEl);
     
-    if (!internalId) {
-      console.warn('Node not found in tree or missing internal ID');
-      return null;
-    }
+    this.virtualList = this.document.createElement("ul");
+    this.virtualList.setAttribute("role", "none");
+    treeEl.appendChild(this.virtualList);
+    this.contentContainer.appendChild(treeEl);
     
-    return internalId;
+    this.contentContainer.scrollTop = scrollTop;
+    this.virtualRange = null;
+    this.renderVirtualRows();
+    this.ensureTabStop(hadFocus);
   }
 
-  removeNodeByInternalId(internalId) {
-    if (!internalId) {
-      console.warn('Internal ID is required for removal');
-      return false;
+  renderVirtualRows() {
+    if (!this.virtualList) return;
+
+    const scrollTop = this.contentContainer.scrollTop;
+    const viewportHeight = this.contentContainer.clientHeight || 400;
+    const start = Math.max(0, Math.floor(scrollTop / this.rowHeight) - this.virtualBuffer);
+    const end = Math.min(
+      this.visibleRows.length,
+      Math.ceil((scrollTop + viewportHeight) / this.rowHeight) + this.virtualBuffer
+    );
+
+    if (this.virtualRange && this.virtualRange.start === start && this.virtualRange.end === end) {
+      return;
     }
-    
-    const nodeToRemove = this.internalIdMap.get(internalId);
-    if (!nodeToRemove) {
-      console.warn(`Cannot remove: Node with internal ID '${internalId}' not found`);
-      return false;
+    this.virtualRange = { start, end };
+
+    this.virtualList.innerHTML = "";
+    this.virtualList.style.transform = `translateY(${start * this.rowHeight}px)`;
+
+    for (let i = start; i < end; i++) {
+      const li = this.createRowElement(this.visibleRows[i]);
+      li.firstElementChild.style.height = `${this.rowHeight - 2}px`;
+      this.virtualList.appendChild(li);
     }
 
-    const removeFromNodes = (nodes, target) => {
-      for (let i = 0; i < nodes.length; i++) {
-        if (nodes[i] === target) {
-          nodes.splice(i, 1);
-          return true;
-        }
-        if (nodes[i].children && nodes[i].children.length > 0) {
-          if (removeFromNodes(nodes[i].children, target)) {
-            return true;
-          }
-        }
-      }
-      return false;
-    };
+    this.ensureTabStop(false);
+  }
 
-    const removed = removeFromNodes(this.data, nodeToRemove);
-    
-    if (removed) {
-      this.cleanupNodeMappings(nodeToRemove);
-      
-      this.filteredData = this.filterNodes(this.data, this.searchTerm);
-      this.buildNodeDataMap();
+  handleVirtualScroll() {
+    if (!this.virtualize || this.virtualScrollFrame) return;
+
+    const schedule = typeof requestAnimationFrame === "function"
+      ? requestAnimationFrame
+      : (callback) => setTimeout(callback, 16);
+
+    this.virtualScrollFrame = schedule(() => {
+      this.virtualScrollFrame = null;
+      this.renderVirtualRows();
+    });
+  }
+
+  canPatchRow(li) {
+    return !this.virtualize && this.paginationMode !== 'rows' && !!li && li.isConnected;
+  }
+
+  refreshNodeRow(node, li) {
+    if (this.canPatchRow(li)) {
+      const level = (Number(li.getAttribute("aria-level")) || 1) - 1;
+      li.replaceChild(this.createNodeElement(node, li, level), li.firstChild);
+      this.syncTreeItemState(li, node);
+    } else {
       this.updateTreeContent();
-      
-      this.onNodeRemove(nodeToRemove, internalId);
-      
-      console.log(`Successfully removed node with internal ID: ${internalId}`);
-      return true;
     }
-    
-    console.warn(`Failed to remove node with internal ID: ${internalId}`);
-    return false;
   }
 
-  cleanupNodeMappings(node) {
-    const nodeId = node.id || this.generateNodeId(node);
-    const internalId = node._internalId;
-    
-    this.nodeDataMap.delete(nodeId);
-    this.internalIdMap.delete(internalId);
-    this.nodeToInternalIdMap.delete(node);
-    this.selectedNodes.delete(nodeId);
-    this.expandedNodes.delete(nodeId);
+  toggleNode(nodeId, toggle, li) {
+    nodeId = String(nodeId);
+    const node = this.nodeDataMap.get(nodeId);
 
-    if (node.children && node.children.length > 0) {
-      node.children.forEach(child => this.cleanupNodeMappings(child));
+    if (node && this.needsChildrenLoad(node)) {
+      this.model.setExpanded(nodeId, true);
+      return;
     }
-  }
 
-  findNodesByCallback(callback) {
-    if (typeof callback !== 'function') {
-      console.warn('Callback must be a function');
-      return [];
+    const expanded = !this.expandedNodes.has(nodeId);
+
+    if (!this.canPatchRow(li)) {
+      this.model.setExpanded(nodeId, expanded);
+      return;
+    }
+
+    if (!this.withoutRender(() => this.model.setExpanded(nodeId, expanded))) {
+      return;
     }
+
+    const childrenContainer = li.querySelector(".tree-children");
+    toggle.classList.toggle("expanded", expanded);
+    childrenContainer.classList.toggle("expanded", expanded);
+    childrenContainer.classList.toggle("collapsed", !expanded);
+    li.setAttribute("aria-expanded", String(expanded));
     
-    const results = [];
-    this.internalIdMap.forEach((node, internalId) => {
-      try {
-        if (callback(node, internalId)) {
-          results.push({
-            internalId: internalId,
-            node: node
-          });
-        }
-      } catch (error) {
-        console.warn(`Error in callback for node ${internalId}:`, error);
-      }
-    });
-    return results;
+    this.updateRenderedLabels();
+    this.persistState();
   }
 
-  updateNodeByInternalId(internalId, updatedData) {
-    if (!internalId) {
-      console.warn('Internal ID is required for update');
-      return false;
+  selectNode(nodeId, nodeDiv) {
+    if (!this.withoutRender(() => this.model.setSelected(nodeId, true))) {
+      return;
     }
-    
-    if (!updatedData || typeof updatedData !== 'object') {
-      console.warn('Updated data must be an object');
-      return false;
+
+    if (!this.multiSelect) {
+      this.contentContainer.querySelectorAll(".tree-node.selected").forEach(el => {
+        el.classList.remove("selected");
+        if (el.parentElement) el.parentElement.setAttribute("aria-selected", "false");
+      });
     }
     
-    const node = this.internalIdMap.get(internalId);
-    if (!node) {
-      console.warn(`Cannot update: Node with internal ID '${internalId}' not found`);
-      return false;
-    }
+    nodeDiv.classList.add("selected");
+    if (nodeDiv.parentElement) nodeDiv.parentElement.setAttribute("aria-selected", "true");
+    this.updateRenderedLabels();
+    this.persistState();
+  }
 
-    const children = node.children;
-    const originalInternalId = node._internalId;
+  toggleSelection(nodeId) {
+    const selected = !this.selectedNodes.has(nodeId);
     
-    Object.assign(node, updatedData);
-    node.children = children; 
-    node._internalId = originalInternalId; 
-
-    this.filteredData = this.filterNodes(this.data, this.searchTerm);
-    this.updateTreeContent();
+    if (!this.withoutRender(() => this.model.setSelected(nodeId, selected))) {
+      return;
+    }
     
-    console.log(`Successfully updated node with internal ID: ${internalId}`);
-    return true;
+    this.updateCheckboxStates();
+    this.updateRenderedLabels();
+    this.persistState();
   }
 
-  addNode(parentInternalId, newNodeData, position = 'last') {
-    if (!newNodeData || typeof newNodeData !== 'object') {
-      console.warn('Node data is required and must be an object');
-      return null;
-    }
 
-    const newNode = { ...newNodeData };
-    const internalId = this.generateInternalId();
-    newNode._internalId = internalId;
+  updateParentCheckboxes(node) {
+    this.updateParentSelection(node);
+    this.updateCheckboxStates();
+    this.updateRenderedLabels();
+  }
+
+  renderCheckboxState(checkbox, nodeId) {
+    const state = this.getCheckState(nodeId);
     
-    if (parentInternalId === 0 || parentInternalId === null || parentInternalId === undefined) {
-      this.addToRootLevel(newNode, position);
-      console.log(`Successfully added node '${newNode[this.displayField]}' to root level at position: ${position}`);
+    checkbox.classList.toggle("checked", state === 'true');
+    checkbox.classList.toggle("indeterminate", state === 'mixed');
+    
+    if (state === 'true') {
+      checkbox.innerHTML = `
+        <svg viewBox="0 0 24 24" fill="currentColor">
+          <path d="M9 16.17L4.83 12l-1.42 1.41L9 19 21 7l-1.41-1.41z"/>
+        </svg>
+      `;
+    } else if (state === 'mixed') {
+      checkbox.innerHTML = `
+        <svg viewBox="0 0 24 24" fill="currentColor">
+          <path d="M19 13H5v-2h14v2z"/>
+        </svg>
+      `;
     } else {
-      const parentNode = this.internalIdMap.get(parentInternalId);
-      if (!parentNode) {
-        console.warn(`Parent node with internal ID '${parentInternalId}' not found`);
-        return null;
-      }
-      
-      this.addToParentNode(parentNode, newNode, position);
-      console.log(`Successfully added node '${newNode[this.displayField]}' to parent '${parentNode[this.displayField]}' at position: ${position}`);
+      checkbox.innerHTML = "";
     }
 
-    this.refreshTree();
-    return internalId;
+    const item = checkbox.closest('[role="treeitem"]');
+    if (item) item.setAttribute("aria-checked", state);
   }
 
-  addToRootLevel(newNode, position) {
-    switch (position) {
-      case 'first':
-        this.data.unshift(newNode);
-        break;
-      case 'last':
-      default:
-        this.data.push(newNode);
-        break;
-      case 'before':
-      case 'after':
-        this.data.push(newNode);
-        break;
-    }
+  updateCheckboxStates() {
+    const checkboxes = this.contentContainer.querySelectorAll('.tree-checkbox');
+    checkboxes.forEach(checkbox => {
+      const nodeDiv = checkbox.closest('.tree-node');
+      this.renderCheckboxState(checkbox, nodeDiv.dataset.nodeId);
+    });
   }
 
-  addToParentNode(parentNode, newNode, position) {
-    if (!parentNode.children) {
-      parentNode.children = [];
-    }
+  handleSearch(term) {
+    this.model.search(term);
+  }
 
-    switch (position) {
-      case 'first':
-        parentNode.children.unshift(newNode);
-        break;
-      case 'last':
-      default:
-        parentNode.children.push(newNode);
-        break;
-      case 'before':
-      case 'after':
-        parentNode.children.push(newNode);
-        break;
-    }
+  updateSearchMatches() {
+    const activeMatch = this.searchMatches[this.activeMatchIndex];
+    this.searchMatches = this.collectSearchMatches();
+    this.activeMatchIndex = activeMatch
+      ? this.searchMatches.findIndex(match => match.internalId === activeMatch.internalId)
+      : -1;
+    this.updateSearchNav();
   }
 
-  addNodeAtPosition(newNodeData, referenceInternalId, position = 'after') {
-    if (!newNodeData || typeof newNodeData !== 'object') {
-      console.warn('Node data is required and must be an object');
-      return null;
-    }
 
-    const referenceNode = this.internalIdMap.get(referenceInternalId);
-    if (!referenceNode) {
-      console.warn(`Reference node with internal ID '${referenceInternalId}' not found`);
-      return null;
+  getSearchMatches() {
+    return this.searchMatches.map(match => ({ ...match, node: this.internalIdMap.get(match.internalId) }));
+  }
+
+  nextMatch() {
+    if (this.searchMatches.length === 0) return false;
+    return this.goToMatch((this.activeMatchIndex + 1) % this.searchMatches.length);
+  }
+
+  previousMatch() {
+    if (this.searchMatches.length === 0) return false;
+    
+    const index = this.activeMatchIndex <= 0 ? this.searchMatches.length - 1 : this.activeMatchIndex - 1;
+    return this.goToMatch(index);
+  }
+
+  goToMatch(index) {
+    const match = this.searchMatches[index];
+    if (!match) {
+      console.warn(`Invalid match index: ${index}`);
+      return false;
     }
 
-    const newNode = { ...newNodeData };
-    const internalId = this.generateInternalId();
-    newNode._internalId = internalId;
+    this.activeMatchIndex = index;
 
-    const parentNode = this.findParentNode(referenceNode);
+    let expanded = false;
+    const node = this.internalIdMap.get(match.internalId);
+    let parentNode = node ? this.findParentNode(node) : null;
     
-    if (parentNode) {
-      const referenceIndex = parentNode.children.indexOf(referenceNode);
-      const insertIndex = position === 'before' ? referenceIndex : referenceIndex + 1;
-      parentNode.children.splice(insertIndex, 0, newNode);
+    this.withoutRender(() => {
+      while (parentNode) {
+        const parentId = this.getNodeId(parentNode);
+        if (!this.expandedNodes.has(parentId) && this.model.setExpanded(parentId, true)) {
+          expanded = true;
+        }
+        parentNode = this.findParentNode(parentNode);
+      }
+    });
+
+    const position = this.paginationMode === 'rows' ? this.getRowIndex(match.internalId) : match.rootIndex;
+    const page = Math.floor(position / this.pageSize) + 1;
+
+    if (this.showPagination && page !== this.currentPage) {
+      this.model.goToPage(page);
+    } else if (expanded) {
+      this.updateTreeContent();
     } else {
-      const referenceIndex = this.data.indexOf(referenceNode);
-      const insertIndex = position === 'before' ? referenceIndex : referenceIndex + 1;
-      this.data.splice(insertIndex, 0, newNode);
+      this.contentContainer.querySelectorAll(".tree-node.active-match").forEach(el => el.classList.remove("active-match"));
+      const nodeDiv = this.contentContainer.querySelector(`.tree-node[data-internal-id="${match.internalId}"]`);
+      if (nodeDiv) nodeDiv.classList.add("active-match");
+      this.updateSearchNav();
+    }
+
+    if (this.focusRow(match.nodeId)) {
+      const nodeDiv = this.contentContainer.querySelector(`.tree-node[data-internal-id="${match.internalId}"]`);
+      if (nodeDiv && typeof nodeDiv.scrollIntoView === 'function') {
+        nodeDiv.scrollIntoView({ block: 'nearest' });
+      }
+    }
+    
+    return true;
+  }
+
+  performDrop(source, target, position) {
+    if (!this.isValidDrop(source, target, position)) {
+      return false;
+    }
+
+    return this.applyMove([source], target, position);
+  }
+
+  getClipboardTargets(internalIds) {
+    if (Array.isArray(internalIds)) {
+      return internalIds;
     }
 
-    this.refreshTree();
-    console.log(`Successfully added node '${newNode[this.displayField]}' ${position} reference node '${referenceNode[this.displayField]}'`);
-    return internalId;
+    const selected = Array.from(this.selectedNodes)
+      .map(nodeId => this.nodeDataMap.get(nodeId))
+      .filter(Boolean)
+      .map(node => node._internalId);
+    if (selected.length > 0) {
+      return selected;
+    }
+
+    const focused = this.getFocusedNode();
+    return focused ? [focused._internalId] : [];
   }
 
-  findParentNode(targetNode) {
-    const findParent = (nodes, target, parent = null) => {
-      for (const node of nodes) {
-        if (node === target) {
-          return parent;
-        }
-        if (node.children && node.children.length > 0) {
-          const result = findParent(node.children, target, node);
-          if (result !== null) return result;
-        }
-      }
-      return null;
-    };
+  getFocusedNode() {
+    if (!this.focusedNodeId) return null;
+    
+    const item = this.findTreeItem(this.focusedNodeId);
+    if (item) {
+      return this.internalIdMap.get(item.firstElementChild.dataset.internalId) || null;
+    }
+    return this.nodeDataMap.get(this.focusedNodeId) || null;
+  }
 
-    return findParent(this.data, targetNode);
+  copyNodes(internalIds) {
+    return this.model.copyNodes(this.getClipboardTargets(internalIds));
+  }
+
+  cutNodes(internalIds) {
+    return this.model.cutNodes(this.getClipboardTargets(internalIds));
   }
 
   exportTreeData(filename = 'tree-data.json') {
@@ -1458,19 +5651,7 @@ class TreeView {
       
       const jsonData = JSON.stringify(cleanData, null, 2);
       
-      const blob = new Blob([jsonData], { type: 'application/json' });
-      const url = URL.createObjectURL(blob);
-      
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = filename;
-      a.style.display = 'none';
-      
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      
-      URL.revokeObjectURL(url);
+      this.downloadFile(jsonData, filename, 'application/json');
       
       console.log(`💾 Tree data exported to ${filename}`);
       return true;
@@ -1480,20 +5661,6 @@ class TreeView {
     }
   }
 
-  cleanDataForExport(data) {
-    return data.map(node => {
-      const cleanNode = { ...node };
-      
-      delete cleanNode._internalId;
-      
-      if (cleanNode.children && cleanNode.children.length > 0) {
-        cleanNode.children = this.cleanDataForExport(cleanNode.children);
-      }
-      
-      return cleanNode;
-    });
-  }
-
   exportTreeDataWithOptions(options = {}) {
     const {
       filename = 'tree-data.json',
@@ -1524,19 +5691,7 @@ class TreeView {
         ? JSON.stringify(cleanData, null, 2)
         : JSON.stringify(cleanData);
       
-      const blob = new Blob([jsonData], { type: 'application/json' });
-      const url = URL.createObjectURL(blob);
-      
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = filename;
-      a.style.display = 'none';
-      
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      
-      URL.revokeObjectURL(url);
+      this.downloadFile(jsonData, filename, 'application/json');
       
       console.log(`💾 Tree data exported to ${filename}`);
       onSuccess(filename);
@@ -1554,19 +5709,7 @@ class TreeView {
       const cleanData = this.cleanDataForExport(selectedData);
       
       const jsonData = JSON.stringify(cleanData, null, 2);
-      const blob = new Blob([jsonData], { type: 'application/json' });
-      const url = URL.createObjectURL(blob);
-      
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = filename;
-      a.style.display = 'none';
-      
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      
-      URL.revokeObjectURL(url);
+      this.downloadFile(jsonData, filename, 'application/json');
       
       console.log(`💾 Selected nodes exported to ${filename}`);
       return true;
@@ -1577,23 +5720,11 @@ class TreeView {
   }
 
 
-  exportTreeAsCSV(filename = 'tree-structure.csv') {
+  exportTreeAsCSV(filename = 'tree-structure.csv', options = {}) {
     try {
-      const csvData = this.convertTreeToCSV(this.data);
+      const csvData = this.convertTreeToCSV(this.data, this.resolveExportColumns(options));
       
-      const blob = new Blob([csvData], { type: 'text/csv' });
-      const url = URL.createObjectURL(blob);
-      
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = filename;
-      a.style.display = 'none';
-      
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      
-      URL.revokeObjectURL(url);
+      this.downloadFile(csvData, filename, 'text/csv');
       
       console.log(`💾 Tree structure exported to CSV: ${filename}`);
       return true;
@@ -1604,91 +5735,416 @@ class TreeView {
   }
 
 
-  convertTreeToCSV(data, level = 0, parentName = '') {
-    let csv = '';
+
+  exportAs(format, options = {}) {
+    const content = this.model.exportAs(format, { theme: this.theme, ...this.resolveExportColumns(options) });
+    const exporter = this.exportFormats.get(format);
     
-    if (level === 0) {
-      csv = 'Level,Parent,Name,HasChildren,Children Count\n';
+    if (content !== null && options.download) {
+      const filename = options.filename || `tree-export.${exporter.extension}`;
+      this.downloadFile(content, filename, exporter.mimeType);
+      console.log(`💾 Tree exported as ${format}: ${filename}`);
     }
     
-    data.forEach(node => {
-      const hasChildren = node.children && node.children.length > 0;
-      const childrenCount = hasChildren ? node.children.length : 0;
-      
-      const escapedName = node[this.displayField].replace(/,/g, '');
-      const escapedParent = parentName.replace(/,/g, '');
-      
-      csv += `${level},"${escapedParent}","${escapedName}",${hasChildren},${childrenCount}\n`;
-      
-      if (hasChildren) {
-        csv += this.convertTreeToCSV(node.children, level + 1, node[this.displayField]);
-      }
-    });
+    return content;
+  }
+
+  // Raw fields round-trip through importTreeData; `columns: true` exports the grid's titles and formatted text instead
+  resolveExportColumns(options) {
+    return options.columns === true ? { ...options, columns: this.columns } : options;
+  }
+
+  downloadFile(content, filename, mimeType) {
+    if (!this.window) {
+      console.warn('⚠️ Download needs a browser window; returning the content only');
+      return;
+    }
+
+    const { Blob, URL } = this.window;
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
     
-    return csv;
+    const a = this.document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.style.display = 'none';
+    
+    this.document.body.appendChild(a);
+    a.click();
+    this.document.body.removeChild(a);
+    
+    URL.revokeObjectURL(url);
+  }
+
+  refreshTree() {
+    this.model.refresh();
   }
 
+  handleShortcutKeys(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT' || e.target.tagName === 'TEXTAREA') return;
 
-  importTreeData(jsonData) {
-    try {
-      let importedData;
+    const key = e.key.toLowerCase();
+    let handled = false;
+
+    if (key === 'z' && !e.shiftKey) {
+      handled = this.undo();
+    } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+      handled = this.redo();
+    } else if (['c', 'x', 'v'].includes(key) && this.contentContainer.contains(e.target)) {
+      const focused = this.getFocusedNode();
       
-      if (typeof jsonData === 'string') {
-        importedData = JSON.parse(jsonData);
+      if (key === 'c') {
+        handled = this.copyNodes();
+      } else if (key === 'x') {
+        handled = this.cutNodes();
       } else {
-        importedData = jsonData;
+        handled = this.pasteNodes(focused ? focused._internalId : null, 'last') !== null;
       }
+    }
 
-      if (!Array.isArray(importedData)) {
-        throw new Error('Imported data must be an array');
-      }
-      
-      this.updateData(importedData);
-      
-      console.log('📥 Tree data imported successfully');
-      return true;
+    if (handled) {
+      e.preventDefault();
+    }
+  }
+
+  handleContextMenu(e) {
+    if (!this.contextMenu) return;
+
+    const nodeDiv = e.target.closest(".tree-node");
+    if (!nodeDiv || !this.contentContainer.contains(nodeDiv)) return;
+
+    e.preventDefault();
+    this.openContextMenu(nodeDiv.dataset.internalId, e.clientX, e.clientY);
+  }
+
+  openContextMenuForRow(nodeDiv) {
+    if (!this.contextMenu) return false;
+
+    const rect = nodeDiv.getBoundingClientRect();
+    return this.openContextMenu(nodeDiv.dataset.internalId, rect.left + 24, rect.bottom);
+  }
+
+  getContextMenuItems(node) {
+    const defaultItems = this.getDefaultContextMenuItems(node);
+
+    if (typeof this.contextMenu === 'function') {
+      return this.contextMenu(node, defaultItems) || [];
+    }
+    return Array.isArray(this.contextMenu) ? this.contextMenu : defaultItems;
+  }
+
+  getDefaultContextMenuItems(node) {
+    const internalId = node._internalId;
+    const nodeId = this.getNodeId(node);
+    const hasChildren = this.nodeHasChildren(node);
+
+    return [
+      { label: 'Rename', shortcut: 'F2', disabled: !this.editable, action: () => this.startEditing(internalId) },
+      {
+        label: 'Add Child',
+        action: () => {
+          const childId = this.withoutRender(() => {
+            const addedId = this.addNode(internalId, { [this.displayField]: 'New node' });
+            if (addedId) this.model.setExpanded(nodeId, true);
+            return addedId;
+          });
+          this.updateTreeContent();
+          if (childId && this.editable) this.startEditing(childId);
+        }
+      },
+      { separator: true },
+      { label: 'Copy', shortcut: 'Ctrl+C', action: () => this.copyNodes([internalId]) },
+      { label: 'Cut', shortcut: 'Ctrl+X', action: () => this.cutNodes([internalId]) },
+      { label: 'Paste', shortcut: 'Ctrl+V', disabled: !this.clipboard, action: () => this.pasteNodes(internalId, 'last') },
+      { separator: true },
+      { label: 'Expand Subtree', disabled: !hasChildren, action: () => this.expandSubtree(internalId) },
+      { label: 'Collapse Subtree', disabled: !hasChildren, action: () => this.collapseSubtree(internalId) },
+      {
+        label: 'Export Branch',
+        items: this.getExportFormats().map(format => ({
+          label: format.toUpperCase(),
+          action: () => this.exportAs(format, {
+            rootInternalId: internalId,
+            download: true,
+            filename: `${String(node[this.displayField] || 'branch')}.${this.exportFormats.get(format).extension}`
+          })
+        }))
+      },
+      { separator: true },
+      { label: 'Delete', action: () => this.removeNodeByInternalId(internalId) }
+    ];
+  }
+
+  openContextMenu(internalId, x, y) {
+    const node = this.internalIdMap.get(internalId);
+    if (!node) return false;
+
+    this.closeContextMenu(false);
+
+    let items;
+    try {
+      items = this.getContextMenuItems(node);
     } catch (error) {
-      console.error('❌ Error importing tree data:', error);
+      console.warn('Error in contextMenu callback:', error);
       return false;
     }
-  }
+    if (!Array.isArray(items) || items.length === 0) return false;
 
-  getExportStats() {
-    const stats = {
-      totalNodes: 0,
-      totalLevels: 0,
-      selectedNodes: this.selectedNodes.size,
-      expandedNodes: this.expandedNodes.size,
-      filteredNodes: this.filteredData.length,
-      currentPage: this.currentPage,
-      totalPages: this.totalPages
+    const onPointerDown = (e) => {
+      if (!e.target.closest || !e.target.closest(".tree-context-menu")) {
+        this.closeContextMenu(false);
+      }
+    };
+    const onResize = () => this.closeContextMenu(false);
+    
+    this.document.addEventListener("mousedown", onPointerDown, true);
+    if (this.window) this.window.addEventListener("resize", onResize);
+
+    this.contextMenuState = {
+      node,
+      nodeId: this.getNodeId(node),
+      menus: [],
+      removeListeners: () => {
+        this.document.removeEventListener("mousedown", onPointerDown, true);
+        if (this.window) this.window.removeEventListener("resize", onResize);
+      }
     };
 
-    const calculateStats = (nodes, level = 0) => {
-      stats.totalLevels = Math.max(stats.totalLevels, level);
-      
-      nodes.forEach(node => {
-        stats.totalNodes++;
-        
-        if (node.children && node.children.length > 0) {
-          calculateStats(node.children, level + 1);
+    const menu = this.createContextMenu(items, node, 0);
+    this.positionContextMenu(menu, x, y);
+    this.focusMenuItem(menu, 0);
+    
+    this.emit('contextMenu', this.createNodeEventPayload(node, { items }));
+    return true;
+  }
+
+  createContextMenu(items, node, depth) {
+    const menu = this.document.createElement("div");
+    menu.className = `tree-context-menu ${this.theme}`;
+    menu.setAttribute("role", "menu");
+    menu.dataset.depth = depth;
+
+    items.forEach(item => {
+      if (!item) return;
+
+      if (item === '-' || item.separator || item.type === 'separator') {
+        const separator = this.document.createElement("div");
+        separator.className = "tree-context-menu-separator";
+        separator.setAttribute("role", "separator");
+        menu.appendChild(separator);
+        return;
+      }
+
+      const disabled = typeof item.disabled === 'function' ? !!item.disabled(node) : !!item.disabled;
+      const hasSubmenu = Array.isArray(item.items) && item.items.length > 0;
+
+      const itemEl = this.document.createElement("div");
+      itemEl.className = "tree-context-menu-item";
+      itemEl.setAttribute("role", "menuitem");
+      itemEl.tabIndex = -1;
+      if (disabled) itemEl.setAttribute("aria-disabled", "true");
+      if (hasSubmenu) itemEl.setAttribute("aria-haspopup", "menu");
+
+      const icon = this.document.createElement("span");
+      icon.className = "tree-context-menu-icon";
+      if (item.icon && item.icon.nodeType) {
+        icon.appendChild(item.icon);
+      } else if (item.icon) {
+        icon.innerHTML = item.icon;
+      }
+
+      const label = this.document.createElement("span");
+      label.className = "tree-context-menu-label";
+      label.textContent = item.label;
+
+      itemEl.appendChild(icon);
+      itemEl.appendChild(label);
+
+      if (item.shortcut) {
+        const shortcut = this.document.createElement("span");
+        shortcut.className = "tree-context-menu-shortcut";
+        shortcut.textContent = item.shortcut;
+        itemEl.appendChild(shortcut);
+      }
+      if (hasSubmenu) {
+        const arrow = this.document.createElement("span");
+        arrow.className = "tree-context-menu-arrow";
+        arrow.textContent = "›";
+        itemEl.appendChild(arrow);
+      }
+
+      itemEl.addEventListener("mouseenter", () => {
+        itemEl.focus();
+        if (hasSubmenu && !disabled) {
+          this.openSubmenu(itemEl, item.items, node, depth);
+        } else {
+          this.closeSubmenus(depth);
         }
       });
-    };
+      itemEl.addEventListener("click", (e) => {
+        e.stopPropagation();
+        this.activateMenuItem(item, itemEl, node, depth, disabled);
+      });
+      itemEl._menuItem = { item, disabled, hasSubmenu };
 
-    calculateStats(this.data);
+      menu.appendChild(itemEl);
+    });
+
+    menu.addEventListener("keydown", (e) => this.handleContextMenuKeyDown(e, menu, node, depth));
+    menu.addEventListener("contextmenu", (e) => e.preventDefault());
     
-    return stats;
+    this.document.body.appendChild(menu);
+    this.contextMenuState.menus[depth] = menu;
+    return menu;
   }
 
-  refreshTree() {
-    this.filteredData = this.filterNodes(this.data, this.searchTerm);
-    this.buildNodeDataMap();
-    this.updateTreeContent();
+  positionContextMenu(menu, x, y) {
+    const rect = menu.getBoundingClientRect();
+    const maxLeft = (this.window ? this.window.innerWidth : Infinity) - rect.width - 4;
+    const maxTop = (this.window ? this.window.innerHeight : Infinity) - rect.height - 4;
+
+    menu.style.left = `${Math.max(4, Math.min(x, maxLeft))}px`;
+    menu.style.top = `${Math.max(4, Math.min(y, maxTop))}px`;
+  }
+
+  openSubmenu(itemEl, items, node, depth) {
+    const state = this.contextMenuState;
+    if (!state) return null;
+    
+    if (state.menus[depth + 1] && state.menus[depth + 1].parentItem === itemEl) {
+      return state.menus[depth + 1];
+    }
+
+    this.closeSubmenus(depth);
+    
+    const submenu = this.createContextMenu(items, node, depth + 1);
+    submenu.parentItem = itemEl;
+    itemEl.setAttribute("aria-expanded", "true");
+
+    const itemRect = itemEl.getBoundingClientRect();
+    const menuRect = submenu.getBoundingClientRect();
+    const viewportWidth = this.window ? this.window.innerWidth : Infinity;
+    const left = itemRect.right + menuRect.width > viewportWidth ? itemRect.left - menuRect.width : itemRect.right;
+    this.positionContextMenu(submenu, left, itemRect.top);
+    
+    return submenu;
+  }
+
+  closeSubmenus(depth) {
+    const state = this.contextMenuState;
+    if (!state) return;
+
+    while (state.menus.length > depth + 1) {
+      const submenu = state.menus.pop();
+      if (submenu.parentItem) submenu.parentItem.removeAttribute("aria-expanded");
+      submenu.remove();
+    }
+  }
+
+  closeContextMenu(restoreFocus = true) {
+    const state = this.contextMenuState;
+    if (!state) return;
+
+    this.contextMenuState = null;
+    state.removeListeners();
+    state.menus.forEach(menu => menu.remove());
+
+    if (restoreFocus) {
+      this.focusRow(state.nodeId);
+    }
+  }
+
+  getMenuItems(menu) {
+    return Array.from(menu.children).filter(child => child._menuItem && !child._menuItem.disabled);
+  }
+
+  focusMenuItem(menu, index) {
+    const items = this.getMenuItems(menu);
+    if (items.length === 0) {
+      menu.tabIndex = -1;
+      menu.focus();
+      return;
+    }
+    
+    items[(index + items.length) % items.length].focus();
+  }
+
+  activateMenuItem(item, itemEl, node, depth, disabled) {
+    if (disabled) return;
+
+    if (Array.isArray(item.items) && item.items.length > 0) {
+      const submenu = this.openSubmenu(itemEl, item.items, node, depth);
+      if (submenu) this.focusMenuItem(submenu, 0);
+      return;
+    }
+
+    this.closeContextMenu(true);
+    
+    if (typeof item.action === 'function') {
+      try {
+        item.action(node, this);
+      } catch (error) {
+        console.error('Error in context menu action:', error);
+      }
+    }
+  }
+
+  handleContextMenuKeyDown(e, menu, node, depth) {
+    const items = this.getMenuItems(menu);
+    const index = items.indexOf(this.document.activeElement);
+    const current = items[index];
+    let handled = true;
+
+    switch (e.key) {
+      case 'ArrowDown':
+        this.focusMenuItem(menu, index + 1);
+        break;
+      case 'ArrowUp':
+        this.focusMenuItem(menu, index === -1 ? -1 : index - 1);
+        break;
+      case 'Home':
+        this.focusMenuItem(menu, 0);
+        break;
+      case 'End':
+        this.focusMenuItem(menu, -1);
+        break;
+      case 'Enter':
+      case ' ':
+        if (current) {
+          this.activateMenuItem(current._menuItem.item, current, node, depth, false);
+        }
+        break;
+      case 'ArrowRight':
+        if (current && current._menuItem.hasSubmenu) {
+          this.activateMenuItem(current._menuItem.item, current, node, depth, false);
+        }
+        break;
+      case 'ArrowLeft':
+      case 'Escape':
+        if (depth > 0) {
+          const parentItem = menu.parentItem;
+          this.closeSubmenus(depth - 1);
+          if (parentItem) parentItem.focus();
+        } else if (e.key === 'Escape') {
+          this.closeContextMenu(true);
+        }
+        break;
+      case 'Tab':
+        this.closeContextMenu(true);
+        break;
+      default:
+        handled = false;
+    }
+
+    if (handled) {
+      e.preventDefault();
+      e.stopPropagation();
+    }
   }
 
   createThemeToggle() {
-    const themeToggle = document.createElement("button");
+    const themeToggle = this.document.createElement("button");
     themeToggle.className = "theme-toggle-btn";
     themeToggle.innerHTML = this.theme === 'light' 
       ? `<svg viewBox="0 0 24 24" fill="currentColor">
@@ -1699,16 +6155,17 @@ class TreeView {
         </svg>`;
     
     themeToggle.title = `Switch to ${this.theme === 'light' ? 'dark' : 'light'} theme`;
-    themeToggle.addEventListener("click", () => this.toggleTheme());
     
     return themeToggle;
   }
 
 toggleTheme() {
     this.theme = this.theme === 'light' ? 'dark' : 'light';
-    this.wrapper.className = `enhanced-tree-container ${this.theme}`;
+    if (this.wrapper) {
+      this.wrapper.className = `enhanced-tree-container ${this.theme}`;
+    }
     
-    const themeToggle = this.wrapper.querySelector('.theme-toggle-btn');
+    const themeToggle = this.wrapper && this.wrapper.querySelector('.theme-toggle-btn');
     if (themeToggle) {
       themeToggle.innerHTML = this.theme === 'light' 
         ? `<svg viewBox="0 0 24 24" fill="currentColor">
@@ -1719,40 +6176,124 @@ toggleTheme() {
           </svg>`;
       themeToggle.title = `Switch to ${this.theme === 'light' ? 'dark' : 'light'} theme`;
     }
+    
+    this.persistState();
+    this.emit('theme', { theme: this.theme });
   }
 
+  getState() {
+    return { ...this.model.getState(), theme: this.theme };
+  }
 
-  getCurrentPageInfo() {
-    return {
-      currentPage: this.currentPage,
-      totalPages: this.totalPages,
-      pageSize: this.pageSize,
-      totalItems: this.filteredData.length,
-      startItem: (this.currentPage - 1) * this.pageSize + 1,
-      endItem: Math.min(this.currentPage * this.pageSize, this.filteredData.length)
-    };
+  setState(state) {
+    if (state && typeof state === 'object') {
+      if ((state.theme === 'light' || state.theme === 'dark') && state.theme !== this.theme) {
+        this.toggleTheme();
+      }
+      
+      if (this.searchInput && typeof state.search === 'string' && state.search.trim() !== this.searchTerm) {
+        this.searchInput.value = state.search;
+      }
+    }
+
+    return this.model.setState(state);
   }
 
-  getExpandedNodes() {
-    return Array.from(this.expandedNodes);
+  persistState() {
+    if (!this.persistKey || !this.persistReady || !this.window) return;
+
+    try {
+      this.window.localStorage.setItem(this.persistKey, JSON.stringify(this.getState()));
+    } catch (error) {
+      console.warn('Failed to persist tree state:', error);
+    }
   }
 
-  updateData(newData) {
-    this.data = newData;
-    this.filteredData = newData;
-    this.currentPage = 1; 
-    this.buildNodeDataMap();
-    this.updateTreeContent();
+  loadPersistedState() {
+    if (!this.window) return null;
+
+    try {
+      const saved = this.window.localStorage.getItem(this.persistKey);
+      return saved ? JSON.parse(saved) : null;
+    } catch (error) {
+      console.warn('Failed to restore tree state:', error);
+      return null;
+    }
+  }
+
+  clearPersistedState() {
+    if (!this.persistKey || !this.window) return;
+
+    try {
+      this.window.localStorage.removeItem(this.persistKey);
+    } catch (error) {
+      console.warn('Failed to clear tree state:', error);
+    }
+  }
+
+
+  static fromFlat(rows, options = {}) {
+    return TreeModel.fromFlat(rows, options);
+  }
+
+  static renderToString({
+    document: targetDocument = typeof document !== 'undefined' ? document : null,
+    includeStyles = true,
+    ...options
+  } = {}) {
+    if (!targetDocument) {
+      throw new Error("TreeView.renderToString: pass a 'document' (for example jsdom's) when no global document exists");
+    }
+
+    const container = targetDocument.createElement("div");
+    new TreeView({ ...options, container, hydrate: false, persistKey: null });
+    
+    const styles = targetDocument.getElementById("enhanced-treeview-styles");
+    return (includeStyles && styles ? styles.outerHTML : '') + container.innerHTML;
   }
 
   destroy() {
+    this.closeContextMenu(false);
     this.container.innerHTML = "";
-    const styles = document.getElementById("enhanced-treeview-styles");
+    const styles = this.document.getElementById("enhanced-treeview-styles");
     if (styles) styles.remove();
   }
 }
 
+// TreeView keeps its data state on this.model: fields are proxied and model methods
+// without a view-specific override are forwarded, so the public API is unchanged.
+[
+  'data', 'filteredData', 'paginatedData', 'dataFormat', 'flatOptions', 'flatReport', 'displayField',
+  'onNodeSelect', 'onNodeExpand', 'onNodeCollapse', 'onNodeRemove', 'onNodeMove', 'loadChildren',
+  'sortConfig', 'historyLimit', 'cloneIdStrategy', 'clipboard', 'multiSelect', 'searchMatch', 'fuzzyThreshold', 'searchFields',
+  'matchNode', 'searchMode', 'restoreExpansionOnClear', 'preSearchExpandedNodes', 'strict', 'maxDepth',
+  'maxNodes', 'validationReport', 'checkboxCascade', 'pageSize', 'paginationMode', 'currentPage', 'totalPages',
+  'selectedNodes', 'indeterminateNodes', 'expandedNodes', 'searchTerm', 'parsedQuery', 'loadingNodes', 'loadErrors', 'nodeDataMap',
+  'internalIdCounter', 'internalIdMap', 'nodeToInternalIdMap', 'usedInternalIds', 'undoStack', 'redoStack',
+  'historyGroupDepth', 'historyGroupRecorded', 'eventHandlers', 'exportFormats'
+].forEach(field => {
+  Object.defineProperty(TreeView.prototype, field, {
+    get() {
+      return this.model[field];
+    },
+    set(value) {
+      this.model[field] = value;
+    }
+  });
+});
+
+Object.getOwnPropertyNames(TreeModel.prototype)
+  .filter(name => name !== 'constructor' && !(name in TreeView.prototype))
+  .forEach(name => {
+    TreeView.prototype[name] = function (...args) {
+      const result = this.model[name](...args);
+      return result === this.model ? this : result;
+    };
+  });
+
 // Export for use in other JS files
 if (typeof module !== "undefined") {
   module.exports = TreeView;
+  module.exports.TreeView = TreeView;
+  module.exports.TreeModel = TreeModel;
 }